@@ -16,21 +16,43 @@ if ((process.env.BUILD !== 'production')) {
     serverPath = "https://ymastin3.github.io/core-components/";
 }
 
+// Modules from three/examples (loaded on demand, like the KTX2 loader) use Hubs' global
+// THREE, rather than bundling a second copy of three whose classes the renderer doesn't know
+const hubsThree = {
+    name: 'hubs-three',
+    resolveId(source, importer) {
+        if (importer && /three\/examples\//.test(importer) && (source === 'three' || /build\/three\.module\.js$/.test(source))) {
+            return '\0hubs-three'
+        }
+        return null
+    },
+    load(id) {
+        if (id !== '\0hubs-three') return null
+        return { code: 'export default window.THREE', syntheticNamedExports: 'default' }
+    }
+}
+
 export default ['index', 'main-room'].map((name, index) => ({
     input: `src/rooms/${name}.ts`,
     context: 'window',
+    // dynamic imports become chunks next to the bundle
     output: [{
-        file: `./build/${name}.js`,
+        dir: './build',
+        entryFileNames: `${name}.js`,
+        chunkFileNames: '[name]-[hash].js',
         format: 'es',
         sourcemap: 'inline'
     },
     {
-        file: `./build/${name}.min.js`,
+        dir: './build',
+        entryFileNames: `${name}.min.js`,
+        chunkFileNames: '[name]-[hash].min.js',
         format: 'es',
         plugins: [terser()]
     }],
     external: [ componentPath + "dist/hubs.js" ],
     plugins: [
+        hubsThree,
         commonjs(),
         nodeResolve(),
         replace({
@@ -187,7 +187,10 @@ let child = {
         linkColor: { parse: parseAccessor, default: 'color' },
         linkAutoColorBy: { parse: parseAccessor, default: '' }, // color links with the same field equally
         linkOpacity: { type: 'number', default: 0.2 },
-        linkWidth: { parse: parseAccessor, default: 0 }
+        linkWidth: { parse: parseAccessor, default: 0 },
+
+        // message-bus channel to take filter messages from (see handleMessage)
+        channel: { type: 'string', default: '' }
     },
 
     // fullName is used to generate names for the AFRame objects we create.  Should be
@@ -279,10 +282,38 @@ let child = {
             this.fullName = this.data.name;
         }
 
+        this.handleMessage = this.handleMessage.bind(this);
+        this.unsubscribe = null;
+        if (this.data.channel.length > 0) {
+            this.unsubscribe = this.el.sceneEl.systems["message-bus"].subscribe(this.data.channel, this.handleMessage);
+        }
+
         // finish the initialization
         this.finishInit();
     },
 
+    // messages from our channel: { type: "filter", field, value } shows only the nodes
+    // whose field has that value, and the links between them, and { type: "clearFilter" }
+    // shows everything again
+    handleMessage: function (message) {
+        if (message.type === "filter") {
+            this.setFilter(node => node[message.field] === message.value);
+        } else if (message.type === "clearFilter") {
+            this.setFilter(null);
+        }
+    },
+
+    setFilter: function (test) {
+        if (!test) {
+            this.forceGraph.nodeVisibility(true);
+            this.forceGraph.linkVisibility(this.data.linkVisibility);
+        } else {
+            this.forceGraph.nodeVisibility(test);
+            this.forceGraph.linkVisibility(link => this.data.linkVisibility && test(link.source) && test(link.target));
+        }
+        this.el.sceneEl.emit('updatePortals');
+    },
+
     // Utility methods
     getGraphBbox: function () {
         if (!this.forceGraph) {
@@ -463,6 +494,7 @@ let child = {
     // called from remove() in the template to remove any local resources when the component
     // is destroyed
     remove: function () {
+        this.unsubscribe && this.unsubscribe();
         this.simpleContainer.removeObject3D('forcegraphGroup');
         this.removeTemplate();
     },
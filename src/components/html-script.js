@@ -3,10 +3,35 @@
  * ===========
  * create a HTML object by rendering a script that creates and manages it
  *
+ * The script gets its settings in `params`, as JSON or as key=value pairs (see
+ * parseParams in utils/config-parser.js).  A script can declare the parameters it takes,
+ * as a spec for validateConfig with an optional `default` for each:
+ *
+ *     Quiz.parameters = { title: { type: "string", required: true },
+ *                         questions: { type: "array" }, shuffle: { type: "boolean", default: false } }
+ *
+ * and the script isn't started if its params don't match, showing what's wrong instead.
+ *
+ * A networked script normally shares one object, and whoever changed it last (and so owns
+ * it) wins.  A script that sets `mergeSharedData` gets a SharedState (utils/crdt.js) as the
+ * third argument of setNetworkMethods(takeOwnership, setSharedData, sharedState), and changes
+ * from everyone are merged: setSharedData() sets the top-level keys that changed, and
+ * sharedState.increment() etc. can be used directly.
+ *
+ * Besides clicked(), interactive scripts can define pointerEnter(), pointerMove(), wheel(),
+ * longPress() and so on (see utils/panel-pointers.js), and scripts that ask for the keyboard
+ * get keyDown() and textBlur().
  */
 import { findAncestorWithComponent } from "../utils/scene-graph";
-import {vueComponents as htmlComponents} from "https://resources.realitymedia.digital/vue-apps/dist/hubs.js";
+import { DEFAULT_BUNDLE, registerBundle, loadBundle, onBundleLoaded, getScript } from "../utils/script-bundles.js";
+import { LODManager } from "../utils/lod-manager.js";
+import { showErrorMarker, clearErrorMarker } from "../utils/error-marker.js";
+import { parseParams, validateConfig } from "../utils/config-parser.js";
+import { diff, applyPatch } from "../utils/json-patch.js";
+import { SharedState } from "../utils/crdt.js";
+import { PanelPointers } from "../utils/panel-pointers.js";
 import spinnerImage from "../assets/Spinner-1s-200px.png"
+import reloadImage from "../assets/Reload-1s-200px.png"
 
 // load and setup all the bits of the textures for the door
 const loader = new THREE.TextureLoader()
@@ -21,16 +46,22 @@ loader.load(spinnerImage, (color) => {
     spinnerMaterial.needsUpdate = true
 })
 
-// var htmlComponents;
-// var scriptPromise;
-// if (window.__testingVueApps) {
-//     scriptPromise = import(window.__testingVueApps)    
-// } else {
-//     scriptPromise = import("https://resources.realitymedia.digital/vue-apps/dist/hubs.js") 
-// }
-// // scriptPromise = scriptPromise.then(module => {
-// //     return module
-// // });
+// the retry button is only needed when something goes wrong, so load it then
+let reloadMaterial = null
+function getReloadMaterial() {
+    if (!reloadMaterial) {
+        reloadMaterial = new THREE.MeshBasicMaterial({
+            transparent: true,
+            alphaTest: 0.1
+        })
+        loader.load(reloadImage, (color) => {
+            reloadMaterial.map = color;
+            reloadMaterial.needsUpdate = true
+        })
+    }
+    return reloadMaterial
+}
+
 /**
  * Modified from https://github.com/mozilla/hubs/blob/master/src/components/fader.js
  * to include adjustable duration and converted from component to system
@@ -38,27 +69,63 @@ loader.load(spinnerImage, (color) => {
 
  AFRAME.registerSystem('html-script', {  
     init() {
-        this.systemTick = htmlComponents["systemTick"];
-        this.initializeEthereal = htmlComponents["initializeEthereal"]
-        if (!this.systemTick || !this.initializeEthereal) {
-            console.error("error in html-script system: htmlComponents has no systemTick and/or initializeEthereal methods")
-        } else {
-            this.initializeEthereal()
-        }
+        // decides when components with lodRadius, pauseOffscreen or unloadRadius load
+        this.lod = new LODManager()
+
+        // each script bundle has its own copy of ethereal to set up and tick
+        this.systemTicks = []
+        onBundleLoaded((name, htmlComponents) => {
+            const systemTick = htmlComponents["systemTick"];
+            const initializeEthereal = htmlComponents["initializeEthereal"]
+            if (!systemTick || !initializeEthereal) {
+                console.error("error in html-script system: bundle '" + name + "' has no systemTick and/or initializeEthereal methods")
+            } else {
+                initializeEthereal()
+                this.systemTicks.push(systemTick)
+            }
+        })
+
+        // other components (like portal titles) use the default bundle without asking for it
+        loadBundle(DEFAULT_BUNDLE).catch(e => {
+            console.error("error in html-script system: couldn't load the default script bundle", e)
+        })
+    },
+
+    // add a bundle of scripts, see utils/script-bundles.js
+    registerBundle(name, url) {
+        registerBundle(name, url)
     },
   
     tick(t, dt) {
-        this.systemTick(t, dt)
+        this.lod.update(this.el.camera)
+        for (const systemTick of this.systemTicks) {
+            systemTick(t, dt)
+        }
     },
   })
   
+const worldScale = new THREE.Vector3()
+
+// for placing panels (see place())
+const FOLLOW_SLACK = 0.4 // how far, as a fraction of placementDistance, before a following panel moves
+const FOLLOW_SETTLED = 0.02 // meters from where it's going that a following panel stops
+const cameraPos = new THREE.Vector3()
+const cameraQuat = new THREE.Quaternion()
+const forward = new THREE.Vector3()
+const targetPos = new THREE.Vector3()
+const targetQuat = new THREE.Quaternion()
+const panelMatrix = new THREE.Matrix4()
+const parentInverse = new THREE.Matrix4()
+const yAxis = new THREE.Vector3(0, 1, 0)
+
 const once = {
     once : true
 };
   
 AFRAME.registerComponent('html-script', {
     schema: {
-        // name must follow the pattern "*_componentName"
+        // name must follow the pattern "*_componentName", or be "bundle:componentName" 
+        // for a script in a bundle other than the default one
         name: { type: "string", default: ""},
         width: { type: "number", default: -1},
         height: { type: "number", default: -1},
@@ -66,9 +133,51 @@ AFRAME.registerComponent('html-script', {
         parameter2: { type: "string", default: ""},
         parameter3: { type: "string", default: ""},
         parameter4: { type: "string", default: ""},
+        // JSON or key=value settings for the script, passed to it as scriptData.params.
+        // parameter1-4 are still passed as they are, for older scripts
+        params: { type: "string", default: ""},
+        // Load the script only once the viewer is within lodRadius meters or can see it (0
+        // loads it right away).  If pauseOffscreen, don't tick it while it's out of view.
+        // Unload it when the viewer is more than unloadRadius meters away (0 never does), 
+        // keeping its shared state for when it is loaded again.
+        lodRadius: { type: "number", default: 0},
+        pauseOffscreen: { type: "boolean", default: false},
+        unloadRadius: { type: "number", default: 0},
+        // seconds to wait for the script to be ready before showing an error (0 waits forever)
+        readyTimeout: { type: "number", default: 20},
+        // the most characters of (encoded) shared state to send; bigger states aren't shared,
+        // and a "shared-data-oversize" event is emitted on this entity
+        maxSharedSize: { type: "number", default: 65536},
+        // how the panel fits the entity it's on: "contain" fits inside it, "cover" fills it
+        // (sticking out one way), "stretch" fills it exactly (distorting the panel), and
+        // "fixed" ignores the entity's size and shows pixelsPerMeter pixels per meter
+        sizing: { type: "string", default: "contain", oneOf: ["contain", "cover", "stretch", "fixed"]},
+        pixelsPerMeter: { type: "number", default: 1000},
+        // where the panel is: "fixed" where it is in the scene, "billboard" there but turned
+        // to face the viewer, "follow" floating placementDistance meters in front of the viewer
+        // (catching up when they move away), and "hud" locked to the viewer's head.  Movement
+        // is smoothed over placementSmoothing seconds (0 moves it right away)
+        placement: { type: "string", default: "fixed", oneOf: ["fixed", "billboard", "follow", "hud"]},
+        placementDistance: { type: "number", default: 1.5},
+        placementSmoothing: { type: "number", default: 0.3},
     },
     init: function () {
         this.script = null;
+        this.scriptRequested = false;
+        this.offscreen = false;
+        this.savedState = null;
+        this.retryEl = null;
+        this.retry = this.retry.bind(this);
+        this.forwardOversize = (evt) => this.el.emit("shared-data-oversize", evt.detail);
+        this.pointers = new PanelPointers(this.el.sceneEl);
+        this.fittedScale = new THREE.Vector3();
+        this.fittedSize = { width: 0, height: 0 };
+        this.panelScale = null;
+        this.placed = false;
+        this.following = false;
+        this.placedPos = new THREE.Vector3();
+        this.placedQuat = new THREE.Quaternion();
+        this.appliedPlacement = null;
         this.fullName = this.data.name;
 
         this.scriptData = {
@@ -77,7 +186,16 @@ AFRAME.registerComponent('html-script', {
             parameter1: this.data.parameter1,
             parameter2: this.data.parameter2,
             parameter3: this.data.parameter3,
-            parameter4: this.data.parameter4
+            parameter4: this.data.parameter4,
+            params: {},
+            // publish and subscribe to named channels (see systems/message-bus.js)
+            messageBus: this.el.sceneEl.systems["message-bus"].client(),
+            // focus({ value }) to get keys in keyDown(evt) (see systems/text-input.js) until
+            // blur(), or textBlur() is called when something else takes the keyboard
+            keyboard: {
+                focus: (options) => this.el.sceneEl.systems["text-input"].focus(this, options),
+                blur: () => this.el.sceneEl.systems["text-input"].blur(this)
+            }
         }
 
         this.loading = true;
@@ -92,12 +210,47 @@ AFRAME.registerComponent('html-script', {
 
         let root = findAncestorWithComponent(this.el, "gltf-model-plus")
         root && root.addEventListener("model-loaded", (ev) => { 
-            this.createScript()
+            this.startScript()
         }, once);
 
         //this.createScript();
     },
 
+    startScript: function () {
+        if (this.data.lodRadius > 0 || this.data.pauseOffscreen || this.data.unloadRadius > 0) {
+            this.system.lod.add(this)
+        }
+        if (this.data.lodRadius <= 0) {
+            this.createScript()
+        }
+    },
+
+    // a sphere around the panel for the LOD manager
+    getLODBounds: function (sphere) {
+        // a panel that follows the viewer isn't where the entity is
+        const moved = this.data.placement !== "fixed" && this.simpleContainer
+        const object3D = moved ? this.simpleContainer.object3D : this.el.object3D
+        object3D.getWorldPosition(sphere.center)
+        sphere.radius = this.actualWidth !== undefined ? Math.max(this.actualWidth, this.actualHeight) / 2 : 0.5
+    },
+
+    updateLOD: function (distance, visible) {
+        const unloadRadius = this.data.unloadRadius
+        if (!this.scriptRequested) {
+            // a little closer than unloadRadius, so we don't load and unload over and over
+            const inRange = unloadRadius <= 0 || distance < unloadRadius * 0.9
+            if (inRange && (this.data.lodRadius <= 0 || distance <= this.data.lodRadius || visible)) {
+                this.createScript()
+            }
+            return
+        }
+
+        this.offscreen = this.data.pauseOffscreen && !visible
+        if (unloadRadius > 0 && distance > unloadRadius && this.script && !this.loading) {
+            this.unloadScript()
+        }
+    },
+
     update: function () {
         if (this.data.name === "" || this.data.name === this.fullName) return
 
@@ -121,9 +274,13 @@ AFRAME.registerComponent('html-script', {
         // the scene via a .glb, it must have a valid name parameter inside it.
         // A .glb in spoke will fall back to the spoke name if you use one without
         // a name inside it.
+        this.scriptRequested = true
         let loader = () => {
             this.loadScript().then( () => {
-                if (!this.script) return
+                if (!this.script) {
+                    this.showError(this.loadError)
+                    return
+                }
 
                 if (this.script.isNetworked) {
                     // get the parent networked entity, when it's finished initializing.  
@@ -137,7 +294,12 @@ AFRAME.registerComponent('html-script', {
                     this.takeOwnership = this.takeOwnership.bind(this);
                     this.setSharedData = this.setSharedData.bind(this)
 
-                    this.script.setNetworkMethods(this.takeOwnership, this.setSharedData)
+                    // kept when the script is unloaded, since it has everyone's changes
+                    if (this.script.mergeSharedData && !this.sharedState) {
+                        this.sharedState = new SharedState(window.NAF && NAF.clientId)
+                        this.sharedState.setDefaults(this.script.getSharedData())
+                    }
+                    this.script.setNetworkMethods(this.takeOwnership, this.setSharedData, this.sharedState || null)
                 }
 
                 // set up the local content and hook it to the scene
@@ -146,68 +308,8 @@ AFRAME.registerComponent('html-script', {
                 this.simpleContainer.object3D.matrixAutoUpdate = true
                 this.simpleContainer.setObject3D("weblayer3d", this.script.webLayer3D)
 
-                // lets figure out the scale, but scaling to fill the a 1x1m square, that has also
-                // potentially been scaled by the parents parent node. If we scale the entity in spoke,
-                // this is where the scale is set.  If we drop a node in and scale it, the scale is also
-                // set there.
-                // We used to have a fixed size passed back from the entity, but that's too restrictive:
-                // const width = this.script.width
-                // const height = this.script.height
-
-                // TODO: need to find environment-scene, go down two levels to the group above 
-                // the nodes in the scene.  Then accumulate the scales up from this node to
-                // that node.  This will account for groups, and nesting.
-
-                var width = 1, height = 1;
-                if (this.el.components["media-image"]) {
-                    // attached to an image in spoke, so the image mesh is size 1 and is scaled directly
-                    let scaleM = this.el.object3DMap["mesh"].scale
-                    let scaleI = this.el.object3D.scale
-                    width = scaleM.x * scaleI.x
-                    height = scaleM.y * scaleI.y
-                    scaleI.x = 1
-                    scaleI.y = 1
-                    scaleI.z = 1
-                    this.el.object3D.matrixNeedsUpdate = true;
-                } else {
-                    // it's embedded in a simple gltf model;  other models may not work
-                    // we assume it's at the top level mesh, and that the model itself is scaled
-                    let mesh = this.el.object3DMap["mesh"]
-                    if (mesh) {
-                        let box = mesh.geometry.boundingBox;
-                        width = (box.max.x - box.min.x) * mesh.scale.x
-                        height = (box.max.y - box.min.y) * mesh.scale.y
-                    } else {
-                        let meshScale = this.el.object3D.scale
-                        width = meshScale.x
-                        height = meshScale.y
-                        meshScale.x = 1
-                        meshScale.y = 1
-                        meshScale.z = 1
-                        this.el.object3D.matrixNeedsUpdate = true;
-                    }
-                    // apply the root gltf scale.
-                    var parent2 = this.el.parentEl.parentEl.object3D
-                    width *= parent2.scale.x
-                    height *= parent2.scale.y
-                    parent2.scale.x = 1
-                    parent2.scale.y = 1
-                    parent2.scale.z = 1
-                    parent2.matrixNeedsUpdate = true;
-                }
-
-                this.actualWidth = width
-                this.actualHeight = height
-
-                if (width > 0 && height > 0) {
-                    const {width: wsize, height: hsize} = this.script.getSize()
-                    if (wsize > 0 && hsize > 0) {
-                        var scale = Math.min(width / wsize, height / hsize)
-                        this.simpleContainer.setAttribute("scale", { x: scale, y: scale, z: scale});
-                    }
-                    const spinnerScale = Math.min(width,height) * 0.25
-                    this.spinnerPlane.scale.set(spinnerScale, spinnerScale, 1)
-                }
+                // fit the panel to the entity it's on (see fitPanel)
+                this.fitPanel()
 
                 // there will be one element already, the cube we created in blender
                 // and attached this component to, so remove it if it is there.
@@ -335,11 +437,19 @@ AFRAME.registerComponent('html-script', {
                             this.el.sceneEl.appendChild(entity);
                         }
 
+                        // the script-data component checks the size of the state against this,
+                        // and tells us if it is too big
+                        entity.maxSharedSize = this.data.maxSharedSize
+                        entity.addEventListener("shared-data-oversize", this.forwardOversize)
+
                         // save a pointer to the networked entity and then wait for it to be fully
                         // initialized before getting a pointer to the actual networked component in it
                         this.netEntity = entity;
                         NAF.utils.getNetworkedEntity(this.netEntity).then(networkedEl => {
                             this.stateSync = networkedEl.components["script-data"]
+                            if (this.sharedState) {
+                                this.stateSync.useSharedState(this.sharedState)
+                            }
 
                             // if this is the first networked entity, it's sharedData will default to the  
                             // string "{}", and we should initialize it with the initial data from the script
@@ -376,13 +486,15 @@ AFRAME.registerComponent('html-script', {
                 }
             }).catch(e => {
                 console.error("loadScript failed for script " + this.data.name + ": " + e)
+                this.showError("setting up the script failed: " + e.message)
             })
         }
         // if attached to a node with a media-loader component, this means we attached this component
         // to a media object in Spoke.  We should wait till the object is fully loaded.  
         // Otherwise, it was attached to something inside a GLTF (probably in blender)
-        if (this.el.components["media-loader"]) {
+        if (this.el.components["media-loader"] && !this.mediaLoaded) {
             this.el.addEventListener("media-loaded", () => {
+                this.mediaLoaded = true
                 loader()
             },
             { once: true })
@@ -403,6 +515,164 @@ AFRAME.registerComponent('html-script', {
         }
     },
 
+    // The size of the entity we're on, in its own units.  An image's mesh is 1x1, scaled to
+    // the image's aspect ratio; a mesh from a gltf (probably made in blender) has a bounding
+    // box; anything else counts as 1x1.
+    hostSize: function () {
+        const mesh = this.el.object3DMap["mesh"]
+        if (this.el.components["media-image"] && mesh) {
+            return { width: mesh.scale.x, height: mesh.scale.y }
+        }
+        if (mesh && mesh.geometry) {
+            if (!mesh.geometry.boundingBox) {
+                mesh.geometry.computeBoundingBox()
+            }
+            const box = mesh.geometry.boundingBox
+            return { width: (box.max.x - box.min.x) * mesh.scale.x, height: (box.max.y - box.min.y) * mesh.scale.y }
+        }
+        return { width: 1, height: 1 }
+    },
+
+    // Size the panel (and spinner) for the world size of the entity we're on, which has the
+    // scales of all the groups it is in, up to the scene.  The panel's scale undoes the
+    // entity's, so the panel is only distorted if sizing is "stretch".
+    fitPanel: function () {
+        this.el.object3D.updateMatrixWorld(true)
+        this.el.object3D.getWorldScale(worldScale)
+        const size = this.hostSize()
+        this.fittedScale.copy(worldScale)
+        this.fittedSize = size
+
+        const width = size.width * worldScale.x
+        const height = size.height * worldScale.y
+        this.actualWidth = width
+        this.actualHeight = height
+        if (!(width > 0 && height > 0)) return
+
+        const spinnerScale = Math.min(width, height) * 0.25
+        this.spinnerPlane.scale.set(spinnerScale / worldScale.x, spinnerScale / worldScale.y, 1 / worldScale.z)
+
+        if (!this.script || !this.simpleContainer) return
+        const {width: wsize, height: hsize} = this.script.getSize()
+        if (!(wsize > 0 && hsize > 0)) return
+
+        let scaleX = width / wsize
+        let scaleY = height / hsize
+        switch (this.data.sizing) {
+            case "contain":
+                scaleX = scaleY = Math.min(scaleX, scaleY)
+                break
+            case "cover":
+                scaleX = scaleY = Math.max(scaleX, scaleY)
+                break
+            case "fixed": {
+                // the layer's size may not be in pixels, so use its element's
+                const element = this.script.webLayer3D.element
+                const pixels = element && element.offsetWidth > 0 ? element.offsetWidth : wsize
+                scaleX = scaleY = pixels / this.data.pixelsPerMeter / wsize
+                break
+            }
+            // "stretch" keeps both
+        }
+        this.panelScale = new THREE.Vector3(scaleX, scaleY, Math.min(scaleX, scaleY))
+        this.appliedPlacement = null // the scale below replaces place()'s
+        this.simpleContainer.setAttribute("scale", {
+            x: scaleX / worldScale.x,
+            y: scaleY / worldScale.y,
+            z: Math.min(scaleX, scaleY) / worldScale.z
+        });
+    },
+
+    // refit if the entity (or a group it's in) has been scaled since we last fit
+    checkFit: function () {
+        this.el.object3D.getWorldScale(worldScale)
+        const size = this.hostSize()
+        if (!worldScale.equals(this.fittedScale) ||
+            size.width != this.fittedSize.width || size.height != this.fittedSize.height) {
+            this.fitPanel()
+        }
+    },
+
+    // Move the panel for the billboard, follow and hud placements.  The panel is still a
+    // child of our entity, so we work out where it should be in the world, smooth towards
+    // that, and then set its transform relative to the entity.
+    place: function (timeDelta) {
+        const camera = this.el.sceneEl.camera
+        camera.getWorldPosition(cameraPos)
+        camera.getWorldQuaternion(cameraQuat)
+        const distance = this.data.placementDistance
+
+        if (this.data.placement === "billboard") {
+            // where it is, turned around the y axis to face the viewer
+            this.el.object3D.getWorldPosition(targetPos)
+            targetQuat.setFromAxisAngle(yAxis, Math.atan2(cameraPos.x - targetPos.x, cameraPos.z - targetPos.z))
+        } else if (this.data.placement === "follow") {
+            // in front of the viewer at eye height, facing them
+            forward.set(0, 0, -1).applyQuaternion(cameraQuat)
+            forward.y = 0
+            forward.normalize()
+            targetPos.copy(cameraPos).addScaledVector(forward, distance)
+            targetQuat.setFromAxisAngle(yAxis, Math.atan2(-forward.x, -forward.z))
+
+            // only catch up once the viewer has moved or turned far enough away
+            if (this.placed && !this.following) {
+                if (this.placedPos.distanceTo(targetPos) < distance * FOLLOW_SLACK) {
+                    targetPos.copy(this.placedPos)
+                    targetQuat.copy(this.placedQuat)
+                } else {
+                    this.following = true
+                }
+            } else if (this.following && this.placedPos.distanceTo(targetPos) < FOLLOW_SETTLED) {
+                this.following = false
+            }
+        } else {
+            // "hud": straight ahead of the viewer, wherever they look
+            forward.set(0, 0, -1).applyQuaternion(cameraQuat)
+            targetPos.copy(cameraPos).addScaledVector(forward, distance)
+            targetQuat.copy(cameraQuat)
+        }
+
+        if (!this.placed || this.data.placementSmoothing <= 0) {
+            this.placedPos.copy(targetPos)
+            this.placedQuat.copy(targetQuat)
+            this.placed = true
+        } else {
+            const t = 1 - Math.exp(-(timeDelta / 1000) / this.data.placementSmoothing)
+            this.placedPos.lerp(targetPos, t)
+            this.placedQuat.slerp(targetQuat, t)
+        }
+
+        // the same size in the world as fitPanel made it
+        const object3D = this.simpleContainer.object3D
+        if (!this.panelScale) {
+            this.panelScale = object3D.getWorldScale(new THREE.Vector3())
+        }
+
+        // only when it or our entity has moved.  The entity's matrixWorld is the one from the
+        // last frame, rather than updating the entity and everything under it every frame
+        const parentMatrix = this.el.object3D.matrixWorld
+        let applied = this.appliedPlacement
+        if (applied && applied.pos.equals(this.placedPos) && applied.quat.equals(this.placedQuat) &&
+                applied.scale.equals(this.panelScale) && applied.parent.equals(parentMatrix)) {
+            return
+        }
+        if (!applied) {
+            applied = this.appliedPlacement = {
+                pos: new THREE.Vector3(), quat: new THREE.Quaternion(), scale: new THREE.Vector3(), parent: new THREE.Matrix4()
+            }
+        }
+        applied.pos.copy(this.placedPos)
+        applied.quat.copy(this.placedQuat)
+        applied.scale.copy(this.panelScale)
+        applied.parent.copy(parentMatrix)
+
+        panelMatrix.compose(this.placedPos, this.placedQuat, this.panelScale)
+        parentInverse.copy(parentMatrix).invert()
+        panelMatrix.premultiply(parentInverse)
+        panelMatrix.decompose(object3D.position, object3D.quaternion, object3D.scale)
+        object3D.matrixNeedsUpdate = true
+    },
+
     // handle "interact" events for clickable entities
     clicked: function(evt) {
         console.log("clicked on html: ", evt)
@@ -411,7 +681,9 @@ AFRAME.registerComponent('html-script', {
   
     // methods that will be passed to the html object so they can update networked data
     takeOwnership: function() {
-        if (this.stateSync) {
+        if (this.sharedState) {
+            return true;  // changes are merged, so there's no need to own it
+        } else if (this.stateSync) {
             return this.stateSync.takeOwnership()
         } else {
             return true;  // sure, go ahead and change it for now
@@ -419,12 +691,29 @@ AFRAME.registerComponent('html-script', {
     },
     
     setSharedData: function(dataObject) {
+        if (this.sharedState) {
+            this.sharedState.update(dataObject)
+            return true
+        }
         if (this.stateSync) {
             return this.stateSync.setSharedData(dataObject)
         }
         return true
     },
 
+    // called by the text-input system while the script has the keyboard
+    keyDown: function (evt) {
+        if (this.script && this.script.keyDown) {
+            this.script.keyDown(evt)
+        }
+    },
+
+    focusLost: function () {
+        if (this.script && this.script.textBlur) {
+            this.script.textBlur()
+        }
+    },
+
     // this is called from below, to get the initial data from the script
     getSharedData: function() {
         if (this.script) {
@@ -436,9 +725,16 @@ AFRAME.registerComponent('html-script', {
     },
 
     // per frame stuff
-    tick: function (time) {
+    tick: function (time, timeDelta) {
         if (!this.script) return
 
+        // even when paused offscreen, so a panel following the viewer comes back into view
+        this.checkFit()
+        if (this.data.placement !== "fixed" && this.simpleContainer) {
+            this.place(timeDelta)
+        }
+        if (this.offscreen) return
+
         if (this.loading) {
             this.spinnerPlane.rotation.z += 0.03
         } else {
@@ -489,6 +785,9 @@ AFRAME.registerComponent('html-script', {
                 }
 
                 this.script.webLayer3D.interactionRays = passthruInteractor
+
+                // enter, leave, move, wheel and long presses, for scripts that want them
+                this.pointers.update(hoverEl, this.script.webLayer3D, this.script, time)
             }
 
             if (this.script.isNetworked) {
@@ -498,7 +797,7 @@ AFRAME.registerComponent('html-script', {
                 // if the state has changed in the networked data, update our html object
                 if (this.stateSync.changed) {
                     this.stateSync.changed = false
-                    this.script.updateSharedData(this.stateSync.dataObject)
+                    this.script.updateSharedData(this.stateSync.getDataCopy())
                 }
             }
 
@@ -519,34 +818,79 @@ AFRAME.registerComponent('html-script', {
         } 
 
         // nodes should be named anything at the beginning with 
-        //  "componentName"
+        //  "componentName" or "bundle-componentName"
         // at the very end.  This will fetch the component from the resource
-        // componentName
-        const params = this.fullName.match(/_([A-Za-z0-9]*)$/)
+        // componentName (in the bundle, see utils/script-bundles.js)
+        const params = this.fullName.match(/_([A-Za-z0-9]*)(?:-([A-Za-z0-9]+))?$/)
 
-        // if pattern matches, we will have length of 3, first match is the dir,
-        // second is the componentName name or number
+        // if pattern matches, we will have length of 3, first match is the 
+        // componentName (or bundle), second is the componentName if there is a bundle
         if (!params || params.length < 2) {
             console.warn("html-script componentName not formatted correctly: ", this.fullName)
             this.componentName = null
+        } else if (params[2]) {
+            // the same as "bundle:componentName", which Spoke won't allow in a name
+            this.componentName = params[1] + ":" + params[2]
         } else {
             this.componentName = params[1]
         }
     },
 
+    // Parse the params into scriptData.params, checking them against the script's spec if
+    // it has one.  Returns a list of errors.
+    setupParams: function (spec) {
+        let text = this.data.params
+        if (text.trim().length == 0 && spec && this.data.parameter1.trim()[0] == "{") {
+            // scripts that now declare parameters used to have them packed into parameter1
+            text = this.data.parameter1
+        }
+
+        const parsed = parseParams(text)
+        if (!spec || parsed.errors.length > 0) {
+            this.scriptData.params = parsed.config
+            return parsed.errors
+        }
+
+        const result = validateConfig(parsed.config, spec)
+        let params = result.values
+        for (const key of Object.keys(spec)) {
+            if (params[key] === undefined && spec[key].default !== undefined) {
+                params[key] = spec[key].default
+            }
+        }
+        this.scriptData.params = params
+        return result.errors
+    },
+
+    // if there's no script afterwards, this.loadError says why
     loadScript: async function () {
-        // if (scriptPromise) {
-        //     try {
-        //         htmlComponents = await scriptPromise;
-        //     } catch(e) {
-        //         console.error(e);
-        //         return
-        //     }
-        //     scriptPromise = null
-        // }
-        var initScript = htmlComponents[this.componentName]
+        this.loadError = null
+        if (!this.componentName) {
+            this.loadError = "the node name doesn't end with _componentName"
+            this.script = null
+            return;
+        }
+
+        var initScript
+        try {
+            initScript = await getScript(this.componentName)
+        } catch (e) {
+            console.error("'html-script' couldn't load the script bundle for " + this.componentName, e);
+            this.loadError = "couldn't load the script bundle: " + e.message
+            this.script = null
+            return;
+        }
         if (!initScript) {
             console.warn("'html-script' component doesn't have script for " + this.componentName);
+            this.loadError = "there is no script with this name"
+            this.script = null
+            return;
+        }
+
+        const paramErrors = this.setupParams(initScript.parameters)
+        if (paramErrors.length > 0) {
+            console.warn("'html-script' " + this.componentName + " has bad params: " + paramErrors.join("; "));
+            this.loadError = paramErrors
             this.script = null
             return;
         }
@@ -555,19 +899,37 @@ AFRAME.registerComponent('html-script', {
             this.script = initScript(this.scriptData);
         } catch (e) {
             console.error("error creating script for " + this.componentName, e);
+            this.loadError = "the script failed to start: " + e.message
             this.script = null
         }
         if (this.script){
+            if (this.savedState) {
+                // loaded again after unloadScript()
+                this.script.updateSharedData(this.savedState)
+                this.savedState = null
+            }
             this.script.needsUpdate = true
             // this.script.webLayer3D.refresh(true)
             // this.script.webLayer3D.update(true)
 
+            const script = this.script
+            if (this.data.readyTimeout > 0) {
+                this.readyTimer = setTimeout(() => {
+                    if (this.script !== script || !this.loading) return
+
+                    console.warn("'html-script' " + this.componentName + " wasn't ready after " + this.data.readyTimeout + " seconds");
+                    this.destroyScript()
+                    this.showError("the script wasn't ready after " + this.data.readyTimeout + " seconds")
+                }, this.data.readyTimeout * 1000)
+            }
+
             this.script.waitForReady().then(() => {
-                const {width: wsize, height: hsize} = this.script.getSize()
-                if (wsize > 0 && hsize > 0) {
-                    var scale = Math.min(this.actualWidth / wsize, this.actualHeight / hsize)
-                    this.simpleContainer.setAttribute("scale", { x: scale, y: scale, z: scale});
-                }
+                // destroyed (or timed out) before it was ready
+                if (this.script !== script) return
+
+                clearTimeout(this.readyTimer)
+                // the size is known now
+                this.fitPanel()
 
                 // when a script finishes getting ready, tell the 
                 // portals to update themselves
@@ -580,11 +942,71 @@ AFRAME.registerComponent('html-script', {
         }
     },
 
+    // show what went wrong (a message, or a list of them) in the room, with a button to try again
+    showError: function (reason) {
+        this.clearError()
+        this.loading = false
+        if (this.el.getObject3D("spinner")) {
+            this.el.removeObject3D("spinner")
+        }
+        showErrorMarker(this.el, "Script " + (this.componentName || this.fullName), Array.isArray(reason) ? reason : [reason || "unknown error"])
+
+        const scale = new THREE.Vector3()
+        this.el.object3D.getWorldScale(scale)
+        this.retryEl = document.createElement('a-entity')
+        this.retryEl.object3D.matrixAutoUpdate = true
+        this.retryEl.object3D.scale.set(0.15 / scale.x, 0.15 / scale.y, 1 / scale.z)
+        this.retryEl.object3D.position.set(0, -0.35 / scale.y, 0.05 / scale.z)
+        this.retryEl.setObject3D("mesh", new THREE.Mesh(spinnerGeometry, getReloadMaterial()))
+
+        this.retryEl.setAttribute('is-remote-hover-target','')
+        this.retryEl.setAttribute('tags', { singleActionButton: true })
+        this.retryEl.setAttribute('class', "interactable")
+        this.retryEl.object3D.addEventListener('interact', this.retry)
+        this.el.appendChild(this.retryEl)
+    },
+
+    clearError: function () {
+        clearErrorMarker(this.el)
+        if (this.retryEl) {
+            this.retryEl.object3D.removeEventListener('interact', this.retry)
+            this.el.removeChild(this.retryEl)
+            this.retryEl = null
+        }
+    },
+
+    retry: function () {
+        this.clearError()
+        if (this.script) {
+            this.destroyScript()
+        }
+        this.loading = true
+        this.createScript()
+    },
+
     remove: function () {
-        this.destroyScript()
+        this.system.lod.remove(this)
+        clearTimeout(this.readyTimer)
+        this.clearError()
+        if (this.script) {
+            this.destroyScript()
+        } else if (this.netEntity && this.netEntity.parentNode) {
+            // unloaded, but still networked
+            this.netEntity.parentNode.removeChild(this.netEntity)
+        }
     },
 
-    destroyScript: function () {
+    // Destroy the script to save memory while the viewer is far away, but keep its state.
+    // A networked script keeps its networked entity, so the shared state stays current
+    unloadScript: function () {
+        this.savedState = this.script.getSharedData ? this.script.getSharedData() : null
+        this.destroyScript(true)
+        this.scriptRequested = false
+        this.offscreen = false
+        this.loading = true
+    },
+
+    destroyScript: function (keepNetworked = false) {
         if (this.script.isInteractive) {
             this.simpleContainer.object3D.removeEventListener('interact', this.clicked)
         }
@@ -595,19 +1017,74 @@ AFRAME.registerComponent('html-script', {
         this.simpleContainer.removeObject3D("weblayer3d")
         this.simpleContainer = null
 
-        if (this.script.isNetworked && this.netEntity.parentNode) {
+        if (this.script.isNetworked && this.netEntity && this.netEntity.parentNode && !keepNetworked) {
             this.netEntity.parentNode.removeChild(this.netEntity)
         }
+        this.scriptData.messageBus.unsubscribeAll()
+        this.scriptData.keyboard.blur()
+        this.pointers.reset()
+        this.panelScale = null
+        this.placed = false
+        this.appliedPlacement = null
+        this.following = false
         this.script.destroy()
         this.script = null
     }
 })
 
+// Add this to any node in the Spoke scene to add a bundle of scripts that html-script
+// components can use as "name:componentName".  See utils/script-bundles.js
+AFRAME.registerComponent('html-script-bundle', {
+    schema: {
+        name: { type: "string", default: "" },
+        url: { type: "string", default: "" },
+    },
+    init: function () {
+        if (this.data.name.length == 0 || this.data.url.length == 0) {
+            console.warn("html-script-bundle must have 'name' and 'url' set")
+            return
+        }
+        registerBundle(this.data.name, this.data.url)
+    }
+})
+
 //
 // Component for our networked state.  This component does nothing except all us to 
 // change the state when appropriate. We could set this up to signal the component above when
 // something has changed, instead of having the component above poll each frame.
 //
+// The networked `scriptdata` property is a snapshot of the state, { "$v": version, "$d": data },
+// which NAF sends to everyone (including people who join later) and Hubs saves for pinned
+// objects.  It is only updated every SNAPSHOT_INTERVAL.  In between, each setSharedData()
+// sends just the changes, as a JSON patch from one version to the next, on a NAF data
+// channel.  If someone misses a patch they ask the sender for a new snapshot.
+//
+// For scripts that merge their changes, the snapshot is { "$m": state } instead, and
+// changes are sent as the part of the SharedState they changed.  Merging is the same
+// whatever the order, so whoever changed it last writes the snapshot, and anyone starting
+// to use it asks everyone else for their whole state.
+//
+
+const SNAPSHOT_INTERVAL = 2000 // milliseconds
+const DEFAULT_MAX_SHARED_SIZE = 65536 // characters of encoded snapshot
+
+// script-data components by network id, for the data channel messages
+const syncedEntities = new Map()
+let subscribed = false
+
+function subscribeToSyncMessages() {
+    if (subscribed || !NAF.connection) return
+    subscribed = true
+
+    const forEntity = (handler) => (senderId, dataType, message) => {
+        const sync = syncedEntities.get(message.id)
+        sync && handler(sync, senderId, message)
+    }
+    NAF.connection.subscribeToDataChannel("script-data-patch", forEntity((sync, senderId, message) => sync.receivePatch(senderId, message)))
+    NAF.connection.subscribeToDataChannel("script-data-resync", forEntity((sync, senderId) => sync.sendSnapshot(senderId)))
+    NAF.connection.subscribeToDataChannel("script-data-snapshot", forEntity((sync, senderId, message) => sync.receiveSnapshot(message["$v"], message["$d"])))
+    NAF.connection.subscribeToDataChannel("script-data-merge", forEntity((sync, senderId, message) => sync.receiveMerge(senderId, message)))
+}
 
 AFRAME.registerComponent('script-data', {
     schema: {
@@ -617,35 +1094,179 @@ AFRAME.registerComponent('script-data', {
         this.takeOwnership = this.takeOwnership.bind(this);
         this.setSharedData = this.setSharedData.bind(this);
 
-        this.dataObject = this.el.getSharedData();
+        this.version = 0
+        this.lastSnapshot = 0
+        this.snapshotNeeded = false
+        this.resyncRequested = false
+        this.oversize = false
+        this.mergeState = null
+        this.pendingMerge = null
+
+        // copied, so changes the script makes to its own object show up in the next diff
+        const initialData = this.el.getSharedData ? this.el.getSharedData() : {}
         try {
-            this.sharedData = encodeURIComponent(JSON.stringify(this.dataObject))
+            this.dataObject = JSON.parse(JSON.stringify(initialData))
+            this.sharedData = this.encodeSnapshot()
             this.el.setAttribute("script-data", "scriptdata", this.sharedData);
         } catch(e) {
-            console.error("Couldn't encode initial script data object: ", e, this.dataObject)
+            console.error("Couldn't encode initial script data object: ", e, initialData)
             this.sharedData = "{}"
             this.dataObject = {}
         }
         this.changed = false;
+
+        subscribeToSyncMessages()
+        NAF.utils.getNetworkedEntity(this.el).then(() => this.register()).catch(() => {})
+    },
+
+    register() {
+        this.networkId = this.el.components.networked.data.networkId
+        syncedEntities.set(this.networkId, this)
     },
 
+    // merge changes into `state` from now on, instead of sending versions of one object
+    useSharedState(state) {
+        this.networkId || this.register()
+        this.mergeState = state
+        state.onLocalChange = (delta) => this.sendMerge(delta)
+        state.onRemoteChange = () => {
+            this.dataObject = state.toObject()
+            this.changed = true
+        }
+        if (this.pendingMerge) {
+            state.merge(this.pendingMerge.getState())
+            this.pendingMerge = null
+        }
+
+        // swap whole states with everyone already using it
+        this.sendMerge(state.getState(), true)
+    },
+
+    sendMerge(delta, reply = false) {
+        this.snapshotNeeded = true
+        if (!this.networkId || !NAF.connection || !NAF.connection.isConnected()) return
+
+        const message = { id: this.networkId, state: delta, reply: reply }
+        if (this.tooBig(encodeURIComponent(JSON.stringify(message)).length)) return
+
+        // so our snapshots, with our changes, are the ones people joining get
+        NAF.utils.isMine(this.el) || NAF.utils.takeOwnership(this.el)
+        NAF.connection.broadcastDataGuaranteed("script-data-merge", message)
+    },
+
+    receiveMerge(senderId, message) {
+        if (this.mergeState) {
+            this.mergeState.merge(message.state)
+            if (message.reply) {
+                NAF.connection.sendDataGuaranteed(senderId, "script-data-merge", {
+                    id: this.networkId, state: this.mergeState.getState(), reply: false
+                })
+            }
+        } else {
+            // the script hasn't loaded yet
+            this.pendingMerge = this.pendingMerge || new SharedState()
+            this.pendingMerge.merge(message.state)
+        }
+    },
+
+    // report states bigger than the html-script's maxSharedSize
+    tooBig(size) {
+        const maxSize = this.el.maxSharedSize || DEFAULT_MAX_SHARED_SIZE
+        if (size <= maxSize) {
+            this.oversize = false
+            return false
+        }
+
+        if (!this.oversize) {
+            console.error("shared data for " + this.networkId + " is " + size + " characters, more than the " +
+                maxSize + " allowed, so it isn't being shared")
+        }
+        this.oversize = true
+        this.el.emit("shared-data-oversize", { size: size, maxSize: maxSize })
+        return true
+    },
+
+    remove() {
+        if (this.networkId && syncedEntities.get(this.networkId) === this) {
+            syncedEntities.delete(this.networkId)
+        }
+    },
+
+    encodeSnapshot() {
+        return encodeURIComponent(JSON.stringify({ "$v": this.version, "$d": this.dataObject }))
+    },
+
+    // a new snapshot from the network
     update() {
-        this.changed = !(this.sharedData === this.data.scriptdata);
-        if (this.changed) {
-            try {
-                this.dataObject = JSON.parse(decodeURIComponent(this.data.scriptdata))
+        if (this.sharedData === this.data.scriptdata) return
+
+        try {
+            const snapshot = JSON.parse(decodeURIComponent(this.data.scriptdata))
+            if (snapshot !== null && snapshot["$m"]) {
+                this.receiveMerge(null, { state: snapshot["$m"] })
+            } else if (snapshot !== null && typeof snapshot["$v"] === "number") {
+                this.receiveSnapshot(snapshot["$v"], snapshot["$d"])
+            } else {
+                // saved before snapshots had versions
+                this.receiveSnapshot(this.version, snapshot)
+            }
+            this.sharedData = this.data.scriptdata;
+        } catch(e) {
+            console.error("couldn't parse JSON received in script-sync: ", e)
+            this.sharedData = "{}"
+            this.dataObject = {}
+        }
+    },
+
+    // snapshots older than what we have are ignored.  One with the same version (from
+    // two people changing it at once) replaces ours, so everyone ends up with the owner's
+    receiveSnapshot(version, data) {
+        if (version < this.version) return
+        if (version == this.version && JSON.stringify(data) === JSON.stringify(this.dataObject)) {
+            // the snapshot of patches we already have
+            this.resyncRequested = false
+            return
+        }
+
+        this.version = version
+        this.dataObject = data
+        this.resyncRequested = false
+        this.changed = true
+    },
 
-                // do these after the JSON parse to make sure it has succeeded
-                this.sharedData = this.data.scriptdata;
+    receivePatch(senderId, message) {
+        if (message.base === this.version) {
+            try {
+                this.dataObject = applyPatch(this.dataObject, message.ops)
+                this.version = message.v
                 this.changed = true
-            } catch(e) {
-                console.error("couldn't parse JSON received in script-sync: ", e)
-                this.sharedData = "{}"
-                this.dataObject = {}
+                return
+            } catch (e) {
+                console.warn("couldn't apply shared data patch for " + this.networkId + ": " + e.message)
             }
+        } else if (message.v <= this.version) {
+            return // old news
+        }
+
+        // we've missed something, so get the whole state from whoever sent this
+        if (!this.resyncRequested) {
+            this.resyncRequested = true
+            NAF.connection.sendDataGuaranteed(senderId, "script-data-resync", { id: this.networkId })
         }
     },
 
+    // dataObject is what the next setSharedData() is compared with, so the script gets a
+    // copy of it: changes made to the one it has must not change ours too
+    getDataCopy() {
+        return JSON.parse(JSON.stringify(this.dataObject))
+    },
+
+    sendSnapshot(clientId) {
+        NAF.connection.sendDataGuaranteed(clientId, "script-data-snapshot", {
+            id: this.networkId, "$v": this.version, "$d": this.dataObject
+        })
+    },
+
     // it is likely that applyPersistentSync only needs to be called for persistent
     // networked entities, so we _probably_ don't need to do this.  But if there is no
     // persistent data saved from the network for this entity, this command does nothing.
@@ -658,24 +1279,33 @@ AFRAME.registerComponent('script-data', {
         }
     },
 
+    // put the latest state in the networked property, at most every SNAPSHOT_INTERVAL
+    tick(time) {
+        if (!this.snapshotNeeded || time - this.lastSnapshot < SNAPSHOT_INTERVAL) return
+        if (!NAF.utils.isMine(this.el)) {
+            // someone else took over, so their snapshots count now
+            this.snapshotNeeded = false
+            return
+        }
+
+        this.snapshotNeeded = false
+        this.lastSnapshot = time
+        if (this.mergeState) {
+            const snapshot = encodeURIComponent(JSON.stringify({ "$m": this.mergeState.getState() }))
+            if (this.tooBig(snapshot.length)) return
+            this.sharedData = snapshot
+        } else {
+            this.sharedData = this.encodeSnapshot()
+        }
+        this.el.setAttribute("script-data", "scriptdata", this.sharedData);
+    },
+
     takeOwnership() {
         if (!NAF.utils.isMine(this.el) && !NAF.utils.takeOwnership(this.el)) return false;
 
         return true;
     },
 
-    // initSharedData(dataObject) {
-    //     try {
-    //         var htmlString = encodeURIComponent(JSON.stringify(dataObject))
-    //         this.sharedData = htmlString
-    //         this.dataObject = dataObject
-    //         return true
-    //     } catch (e) {
-    //         console.error("can't stringify the object passed to script-sync")
-    //         return false
-    //     }
-    // },
-
     // The key part in these methods (which are called from the component above) is to
     // check if we are allowed to change the networked object.  If we own it (isMine() is true)
     // we can change it.  If we don't own in, we can try to become the owner with
@@ -689,20 +1319,42 @@ AFRAME.registerComponent('script-data', {
     // attempting to guarantee ownership, this call is fast and synchronous.  Any 
     // methods for guaranteeing ownership change would take a non-trivial amount of time
     // because of network latencies.
+    //
+    // Returns false, without sharing anything, if the encoded state would be bigger than
+    // the html-script's maxSharedSize.
 
     setSharedData(dataObject) {
+        if (dataObject === this.dataObject) {
+            // its changes would already be in ours, so there'd be nothing to send
+            console.error("setSharedData() was passed script-data's own object, so the changes can't be found")
+            return false
+        }
         if (!NAF.utils.isMine(this.el) && !NAF.utils.takeOwnership(this.el)) return false;
 
+        let json
         try {
-            var htmlString = encodeURIComponent(JSON.stringify(dataObject))
-            this.sharedData = htmlString
-            this.dataObject = dataObject
-            this.el.setAttribute("script-data", "scriptdata", htmlString);
-            return true
+            json = JSON.stringify(dataObject)
         } catch (e) {
             console.error("can't stringify the object passed to script-sync")
             return false
         }
+
+        if (this.tooBig(encodeURIComponent(json).length)) return false
+
+        const newData = JSON.parse(json)
+        const ops = diff(this.dataObject, newData)
+        if (ops.length == 0) return true
+
+        const base = this.version
+        this.version++
+        this.dataObject = newData
+        this.snapshotNeeded = true
+        if (this.networkId && NAF.connection && NAF.connection.isConnected()) {
+            NAF.connection.broadcastDataGuaranteed("script-data-patch", {
+                id: this.networkId, base: base, v: this.version, ops: ops
+            })
+        }
+        return true
     }
 });
 
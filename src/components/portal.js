@@ -6,17 +6,64 @@
  * Usage
  * =======
  * Add two instances of `portal.glb` to the Spoke scene.
- * The name of each instance should look like "some-descriptive-label__color"
+ * The name of each instance should look like "some-descriptive-label_type_target_color"
  * Any valid THREE.Color argument is a valid color value.
+
  * See here for example color names https://www.w3schools.com/cssref/css_colors.asp
  *
  * For example, to make a pair of connected blue portals,
- * you could name them "portal-to__blue" and "portal-from__blue"
+ * you could name them "to-gallery_portal_1_blue" and "from-gallery_portal_1_blue"
+ *
+ * Instead of type_target_color, the end of the name can have key=value settings separated
+ * by `;` (see `applyConfig`), and the `config` property can have the same settings as JSON.
+ * A portal that is set up wrong shows a red sign saying what the problem is.
+ *
+ * By default the view through a pair is a snapshot, updated when the scene changes. Set
+ * `live` to keep capturing it while someone is close to the portal they look through (as
+ * often as the cubemap-scheduler's budget allows), and `liveFps` to limit how often.
+ *
+ * Walking through one portal of a pair keeps your offset and heading relative to it, so you
+ * come out of the other one the way you went in.  Set `fade` to false to skip the fade.
+ *
+ * Set `clickable` to also go through a portal by clicking it, or by pressing P near it.
+ *
+ * Set `audio` to hear the other side (an audio file, or for pairs, the zone-audio-source
+ * near the other portal) while the portal is open.
+ *
+ * `frameStyle` (or `drawDoor`) puts a frame around the portal; see utils/portal-frame.js.
+ *
+ * Set `direction` to "entry" or "exit" to make a pair one-way: an "entry" portal can only be
+ * gone into, and an "exit" portal can only be come out of.  Setting it on either portal of
+ * the pair is enough, so for a one-way pair from the lobby to the gallery name them
+ *
+ *     lobby__type=portal;target=1;color=blue;direction=entry
+ *     gallery__type=portal;target=1;color=blue
+ *
+ * or put `direction=exit` on the gallery one instead.  An "entity" portal (in the
+ * key=value form, `type=entity;target=name`) is one-way to any entity in the scene, such as
+ * a waypoint, and shows the view from it.
+ *
+ * A "url" portal opens a web site in a new tab (leaving VR first if need be) once the viewer
+ * confirms.  Node names can't hold a url, so set it as `target` in the JSON `config` (or as
+ * `portalTarget`).  It
+ * shows the `preview` cube map if there is one, and the site's name if there's no `text`.
+ *
+ * A "chooser_name_color" portal leads to one of several destinations (set in 
+ * `destinations`).  When someone comes close it shows a menu of them with a preview of 
+ * each, and going through takes them to the one they picked.
+ *
+ * Events
+ * ======
+ * These are emitted on the portal entity and bubble up to the scene.  `detail.portal` is 
+ * the portal entity.
+ * - portal-approach / portal-depart: someone came close enough to open the portal, or left
+ * - portal-before-traverse: about to go through.  Cancellable, see `traverse()`
+ * - portal-after-traverse: went through, unless that meant loading another page
+ * - portal-refused: someone walked into a portal that is locked, or has nowhere to go
+ *   (`detail.reason` is "locked" or "no-destination")
+ * - portal-locked / portal-unlocked: the lock state changed
+ * - portal-select: a destination was picked on a chooser portal (`detail.destination`)
  */
-import {vueComponents as htmlComponents} from "https://resources.realitymedia.digital/vue-apps/dist/hubs.js";
-//  import "https://resources.realitymedia.digital/vue-apps/dist/hubs.js";
-// let htmlComponents = window.APP.vueApps
-
 import './proximity-events.js'
 // import vertexShader from '../shaders/portal.vert.js'
 // import fragmentShader from '../shaders/portal.frag.js'
@@ -26,14 +73,18 @@ import { showRegionForObject, hiderRegionForObject } from './region-hider.js'
 import { findAncestorWithComponent } from '../utils/scene-graph'
 import { updateWithShader } from './shader'
 import { WarpPortalShader } from '../shaders/warp-portal.js'
+import { getScript } from '../utils/script-bundles.js'
 
-import goldcolor from '../assets/Metal_Gold_Foil_002_COLOR.jpg'
-import goldDisplacement from '../assets/Metal_Gold_Foil_002_DISP.jpg'
-import goldgloss from '../assets/Metal_Gold_Foil_002_glossiness.png'
-import goldnorm from '../assets/Metal_Gold_Foil_002_NRM.jpg'
-import goldao from '../assets/Metal_Gold_Foil_002_OCC.jpg'
 
 import CubeCameraWriter from "../utils/writeCubeMap.js";
+import { PortalMenu } from "../utils/portal-menu.js";
+import { loadCubeMap, setBasisTranscoderPath } from "../utils/cubemap-loader.js";
+import { FRAME_STYLES, getFrameMaterials, buildFrame, disposeFrame, frameClearance, localBounds } from "../utils/portal-frame.js";
+import { DestinationResolver, createManifestResolver } from "../utils/portal-destinations.js";
+import { PortalAudio, findZoneAudioSource } from "../utils/portal-audio.js";
+import { findConfigText, parseKeyValues, parseJSONConfig, validateConfig } from "../utils/config-parser.js";
+import { showErrorMarker, clearErrorMarker } from "../utils/error-marker.js";
+import { PortalConfirm } from "../utils/portal-confirm.js";
 
 import { replaceMaterial as replaceWithShader} from './shader'
 import { Matrix4 } from "three";
@@ -42,106 +93,29 @@ const worldPos = new THREE.Vector3()
 const worldCameraPos = new THREE.Vector3()
 const worldDir = new THREE.Vector3()
 const worldQuat = new THREE.Quaternion()
+const worldScale = new THREE.Vector3()
 const mat4 = new THREE.Matrix4()
-
-// load and setup all the bits of the textures for the door
-const loader = new THREE.TextureLoader()
-const doorMaterial = new THREE.MeshStandardMaterial({
-    color: 0xffffff,
-    metalness: 0.0,
-    roughness: 0.0, 
-    //emissiveIntensity: 1
-})
-const doormaterialY = new THREE.MeshStandardMaterial({
-    color: 0xffffff,
-    metalness: 0.0,
-    roughness: 0, 
-    //emissiveIntensity: 1
-})
-
-loader.load(goldcolor, (color) => {
-    doorMaterial.map = color;
-    color.repeat.set(1,25)
-    color.wrapS = THREE.RepeatWrapping;
-    color.wrapT = THREE.RepeatWrapping;
-    doorMaterial.needsUpdate = true
-})
-loader.load(goldcolor, (color) => {
-    //color = color.clone()
-    doormaterialY.map = color;
-    color.repeat.set(1,1)
-    color.wrapS = THREE.ClampToEdgeWrapping;
-    color.wrapT = THREE.ClampToEdgeWrapping;
-    doormaterialY.needsUpdate = true
-})
-
-loader.load(goldDisplacement, (disp) => {
-    doorMaterial.bumpMap = disp;
-    disp.repeat.set(1,25)
-    disp.wrapS = THREE.RepeatWrapping;
-    disp.wrapT = THREE.RepeatWrapping;
-    doorMaterial.needsUpdate = true
-})
-
-loader.load(goldDisplacement, (disp) => {
-    //disp = disp.clone()
-    doormaterialY.bumpMap = disp;
-    disp.repeat.set(1,1)
-    disp.wrapS = THREE.ClampToEdgeWrapping;
-    disp.wrapT = THREE.ClampToEdgeWrapping;
-    doormaterialY.needsUpdate = true
-})
-
-loader.load(goldgloss, (gloss) => {
-    doorMaterial.roughness = gloss
-    gloss.repeat.set(1,25)
-    gloss.wrapS = THREE.RepeatWrapping;
-    gloss.wrapT = THREE.RepeatWrapping;
-    doorMaterial.needsUpdate = true
-})
-
-loader.load(goldgloss, (gloss) => {
-    //gloss = gloss.clone()
-    doormaterialY.roughness = gloss
-    gloss.repeat.set(1,1)
-    gloss.wrapS = THREE.ClampToEdgeWrapping;
-    gloss.wrapT = THREE.ClampToEdgeWrapping;
-    doormaterialY.needsUpdate = true
-})
-         
-loader.load(goldao, (ao) => {
-    doorMaterial.aoMap = ao
-    ao.repeat.set(1,25)
-    ao.wrapS = THREE.RepeatWrapping;
-    ao.wrapT = THREE.RepeatWrapping;
-    doorMaterial.needsUpdate = true
-})
-         
-loader.load(goldao, (ao) => {
-    // ao = ao.clone()
-    doormaterialY.aoMap = ao
-    ao.repeat.set(1,1)
-    ao.wrapS = THREE.ClampToEdgeWrapping;
-    ao.wrapT = THREE.ClampToEdgeWrapping;
-    doormaterialY.needsUpdate = true
-})
-
-loader.load(goldnorm, (norm) => {
-    doorMaterial.normalMap = norm;
-    norm.repeat.set(1,25)
-    norm.wrapS = THREE.RepeatWrapping;
-    norm.wrapT = THREE.RepeatWrapping;
-    doorMaterial.needsUpdate = true
-})
-
-loader.load(goldnorm, (norm) => {
-    // norm = norm.clone()
-    doormaterialY.normalMap = norm;
-    norm.repeat.set(1,1)
-    norm.wrapS = THREE.ClampToEdgeWrapping;
-    norm.wrapT = THREE.ClampToEdgeWrapping;
-    doormaterialY.needsUpdate = true
-})
+const sourcePos = new THREE.Vector3()
+const sourceQuat = new THREE.Quaternion()
+const cameraQuat = new THREE.Quaternion()
+const offset = new THREE.Vector3()
+const heading = new THREE.Euler()
+const up = new THREE.Vector3(0, 1, 0)
+const halfTurn = new THREE.Quaternion().setFromAxisAngle(up, Math.PI)
+
+// meters past the trigger distance of the destination portal that we place people
+const EXIT_CLEARANCE = 0.3
+
+const PORTAL_TYPES = ["room", "portal", "waypoint", "roomName", "chooser", "entity", "url"]
+
+// short names for schema properties in a portal's configuration
+const CONFIG_ALIASES = {
+    type: "portalType",
+    target: "portalTarget",
+    waypoint: "secondaryTarget",
+    frame: "frameStyle",
+    label: "text"
+}
 
 // // map all materials via a callback.  Taken from hubs materials-utils
 // function mapMaterials(object3D, fn) {
@@ -159,14 +133,27 @@ const once = {
     once : true
 };
 
+// the destination types a "chooser" portal can list, and the portal types they act like
+const CHOICE_TYPES = {
+    room: 1,
+    waypoint: 3,
+    roomName: 4
+}
+
 AFRAME.registerSystem('portal', {
-  dependencies: ['fader-plus'],
+  dependencies: ['fader-plus', 'cubemap-scheduler'],
   init: function () {
     this.teleporting = false
     this.characterController = this.el.systems['hubs-systems'].characterController
     this.fader = this.el.systems['fader-plus']
     // this.roomData = null
-    this.waitForFetch = this.waitForFetch.bind(this)
+    this.destinations = new DestinationResolver()
+    this.lockConditions = {}
+
+    // the key that uses the nearest open clickable portal (a KeyboardEvent.code)
+    this.traverseKey = "KeyP"
+    this.onKeyDown = this.onKeyDown.bind(this)
+    window.addEventListener('keydown', this.onKeyDown)
 
     // if the user is logged in, we want to retrieve their userData from the top level server
     // if (window.APP.store.state.credentials && window.APP.store.state.credentials.token && !window.APP.userData) {
@@ -189,71 +176,211 @@ AFRAME.registerSystem('portal', {
 //     })
 //     this.roomData.textures = []
 //   },
-  getRoomURL: async function (number) {
-      let hub_id = await this.getRoomHubId(number)
+  // Destinations are looked up through resolvers, so other Hubs instances and asset
+  // hosts can be used without changing this file. See utils/portal-destinations.js
+  registerResolver: function (resolver) {
+    this.destinations.register(resolver)
+  },
+  unregisterResolver: function (resolver) {
+    this.destinations.unregister(resolver)
+  },
+  loadManifest: function (url) {
+    return this.destinations.registerWhenReady(
+        fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error("couldn't fetch portal manifest " + url + ": " + response.status)
+            }
+            return response.json()
+        }).then(manifest => {
+            if (manifest.basisTranscoderPath) {
+                setBasisTranscoderPath(manifest.basisTranscoderPath)
+            }
+            return createManifestResolver(manifest, url)
+        })
+    )
+  },
+  // Portals with `lockCondition` set to `name` stay locked until `fn(portalComponent)`
+  // returns true.  It's called every frame, so keep it cheap.
+  registerLockCondition: function (name, fn) {
+    this.lockConditions[name] = fn
+  },
+  unregisterLockCondition: function (name) {
+    delete this.lockConditions[name]
+  },
+  remove: function () {
+    window.removeEventListener('keydown', this.onKeyDown)
+  },
+  onKeyDown: function (evt) {
+    if (evt.code !== this.traverseKey || evt.repeat || evt.ctrlKey || evt.metaKey || evt.altKey) return
 
-      let url = window.SSO.userInfo.rooms.length > number ? "https://xr.realitymedia.digital/" + hub_id : null;
-      return url
+    // not while typing in chat or a form
+    const target = evt.target
+    if (target && (target.tagName === "INPUT" || target.tagName === "TEXTAREA" || target.isContentEditable)) return
+
+    const portal = this.nearestOpenPortal()
+    portal && portal.traverse({ clicked: true })
+  },
+  // the closest clickable portal that is open (that is, someone is near it)
+  nearestOpenPortal: function () {
+    this.el.camera.getWorldPosition(worldCameraPos)
+
+    let nearest = null
+    let nearestDistance = Infinity
+    for (const el of document.querySelectorAll('[portal]')) {
+        const portal = el.components.portal
+        if (!portal || !portal.materials || !portal.onClick || portal.isClosed()) continue
+
+        el.object3D.getWorldPosition(worldPos)
+        const distance = worldPos.distanceTo(worldCameraPos)
+        if (distance < nearestDistance) {
+            nearest = portal
+            nearestDistance = distance
+        }
+    }
+    return nearest
+  },
+  resolveDestination: function (type, target, waypoint) {
+    return this.destinations.resolve({ type: type, target: target, waypoint: waypoint })
+  },
+  getRoomURL: async function (number) {
+      let destination = await this.resolveDestination("room", number)
+      return destination.url
   },
   getRoomHubId: async function (number) {
-    this.waitForFetch()
-    return window.SSO.userInfo.rooms[number]
+    let destination = await this.resolveDestination("room", number)
+    return destination.hubId
   },
   getCubeMap: async function (number, waypoint) {
-      this.waitForFetch()
-
-      if (!waypoint || waypoint.length == 0) {
-          waypoint = "start"
-      }
-      let urls = ["Right","Left","Top","Bottom","Front","Back"].map(el => {
-          return "https://resources.realitymedia.digital/data/roomPanos/" + number.toString() + "/" + waypoint + "-" + el + ".png"
-      })
-      return urls
-      //return this.roomData.cubemaps.length > number ? this.roomData.cubemaps[number] : null;
+      let destination = await this.resolveDestination("room", number, waypoint)
+      return destination.cubeMap
   },
   getCubeMapByName: async function (name, waypoint) {
-    if (!waypoint || waypoint.length == 0) {
-        waypoint = "start"
-    }
-    let urls = ["Right","Left","Top","Bottom","Front","Back"].map(el => {
-        return "https://resources.realitymedia.digital/data/roomPanos/" + name + "/" + waypoint + "-" + el + ".png"
-    })
-    return urls
-    //return this.roomData.cubemaps.length > number ? this.roomData.cubemaps[number] : null;
-  },
-  waitForFetch: function () {
-     if (window.SSO.userInfo) return
-     setTimeout(this.waitForFetch, 100); // try again in 100 milliseconds
+    let destination = await this.resolveDestination("roomName", name, waypoint)
+    return destination.cubeMap
   },
-  teleportTo: async function (object) {
+  // Move the user to the portal `object`.  If `source` (the portal they walked into) is
+  // given, their offset and heading relative to it are carried over to `object`, turned 
+  // around so they come out of its front, and walking through feels continuous.  Otherwise
+  // they land `distance` meters in front of `object`, facing out of it.
+  teleportTo: async function (object, source, fade = true, distance = 3) {
     this.teleporting = true
-    await this.fader.fadeOut()
+    if (fade) {
+        await this.fader.fadeOut()
+    }
     // Scale screws up the waypoint logic, so just send position and orientation
     object.getWorldQuaternion(worldQuat)
-    object.getWorldDirection(worldDir)
     object.getWorldPosition(worldPos)
-    worldPos.add(worldDir.multiplyScalar(3)) // Teleport in front of the portal to avoid infinite loop
+    if (source) {
+        source.getWorldPosition(sourcePos)
+        source.getWorldQuaternion(sourceQuat).invert()
+        this.el.camera.getWorldPosition(worldCameraPos)
+        this.el.camera.getWorldQuaternion(cameraQuat)
+
+        // offset from the source portal, in its frame, turned around to face out of the other
+        offset.subVectors(worldCameraPos, sourcePos).applyQuaternion(sourceQuat).applyQuaternion(halfTurn)
+
+        // we are moved just before we cross the source portal, so put the user in front of
+        // the destination, and far enough from it that we don't walk right back through
+        object.getWorldScale(worldScale)
+        offset.z = Math.max(Math.abs(offset.z), 0.25 * worldScale.z + EXIT_CLEARANCE)
+        worldPos.add(offset.applyQuaternion(worldQuat))
+
+        // the same for the heading, keeping only the rotation around up
+        cameraQuat.premultiply(sourceQuat).premultiply(halfTurn).premultiply(worldQuat)
+        heading.setFromQuaternion(cameraQuat, 'YXZ')
+        // travelByWaypoint turns the user around, so the waypoint faces the other way
+        worldQuat.setFromAxisAngle(up, heading.y + Math.PI)
+    } else {
+        object.getWorldDirection(worldDir)
+        worldPos.add(worldDir.multiplyScalar(distance)) // Teleport in front of the portal to avoid infinite loop
+    }
     mat4.makeRotationFromQuaternion(worldQuat)
     mat4.setPosition(worldPos)
     // Using the characterController ensures we don't stray from the navmesh
     this.characterController.travelByWaypoint(mat4, true, false)
-    await this.fader.fadeIn()
+    if (fade) {
+        await this.fader.fadeIn()
+    }
     this.teleporting = false
   },
 })
 
+// Add this to any node in the Spoke scene to use a room manifest for portal
+// destinations (hub ids, hub URLs and cube map previews).  See utils/portal-destinations.js
+// for the format.  Code can call registerResolver() on the portal system instead.
+AFRAME.registerComponent('portal-manifest', {
+    schema: {
+        src: { type: 'string', default: '' }
+    },
+    init: function () {
+        if (this.data.src.length == 0) {
+            console.warn("portal-manifest must have 'src' set")
+            return
+        }
+        window.APP.scene.systems.portal.loadManifest(this.data.src)
+    }
+})
+
 AFRAME.registerComponent('portal', {
     schema: {
+        // a JSON object with the same settings as a key=value node name (see applyConfig),
+        // which override the node name's
+        config: { type: 'string', default: '' },
         portalType: { default: "" },
         portalTarget: { default: "" },
         secondaryTarget: { default: "" },
         color: { type: 'color', default: null },
         materialTarget: { type: 'string', default: null },
         drawDoor: { type: 'boolean', default: false },
+        // the frame around the portal: rectangular, arch, round or none.  If it isn't set,
+        // drawDoor picks between rectangular and none.  With no frameColor or frameTexture
+        // (a url) the frame is gold.  frameThickness is in meters.  frameEnvMap is what the
+        // frame reflects: the scene's environment map if it's empty, nothing if it's "none",
+        // or a cube map url (six comma separated faces, or one equirectangular image)
+        frameStyle: { type: 'string', default: '' },
+        frameColor: { type: 'string', default: '' },
+        frameTexture: { type: 'string', default: '' },
+        frameThickness: { type: 'number', default: 0.1 },
+        frameEnvMap: { type: 'string', default: '' },
         text: { type: 'string', default: null},
         textPosition: { type: 'vec3' },
         textSize: { type: 'vec2' },
-        textScale: { type: 'number', default: 1 }
+        textScale: { type: 'number', default: 1 },
+        // for "portal_N_color" pairs: re-render the view through the portal while someone
+        // is near it, from a camera matched to the viewer.  liveFps of 0 captures as often as
+        // the cubemap-scheduler can
+        live: { type: 'boolean', default: false },
+        liveFps: { type: 'number', default: 0 },
+        // fade to white when going through a "portal_N_color" pair
+        fade: { type: 'boolean', default: true },
+        // a locked portal stays closed and can't be used.  The lock state is shared with 
+        // everyone in the room, and only moderators can change it, with setLocked().
+        // `unlockEvent` being emitted on the scene (when someone passes a quiz, say) unlocks
+        // it for whoever's client it was emitted in.  A portal with `lockCondition` is also
+        // locked until the condition registered with that name on the portal system is met.
+        locked: { type: 'boolean', default: false },
+        unlockEvent: { type: 'string', default: '' },
+        lockCondition: { type: 'string', default: '' },
+        // for "url" portals, a cube map to show (one equirectangular image, or six comma 
+        // separated faces).  Without one, the portal shows the site's name
+        preview: { type: 'string', default: '' },
+        // "entry" portals only send people to the other portal, and "exit" portals only 
+        // receive them: they still show the other side but walking into them does nothing
+        direction: { type: 'string', default: 'both', oneOf: ['both', 'entry', 'exit'] },
+        // make the portal clickable (with a highlight when the cursor is on it) for people
+        // who can't easily walk into it.  Clicking goes through it, and so does pressing P
+        // (the system's traverseKey) when it is the nearest open portal
+        clickable: { type: 'boolean', default: false },
+        // ambient sound from the other side, louder the more open the portal is.  Either an 
+        // audio file url, or "zone" for the zone-audio-source closest to the other portal of
+        // a pair (within audioZoneDistance meters)
+        audio: { type: 'string', default: '' },
+        audioVolume: { type: 'number', default: 1 },
+        audioZoneDistance: { type: 'number', default: 5 },
+        // for "chooser_name_color" portals: a JSON array of the destinations to choose 
+        // from, like [{ "label": "Gallery", "type": "room", "target": 2, "waypoint": "entry" }].
+        // "type" is one of room, roomName or waypoint
+        destinations: { type: 'string', default: '' }
     },
 
     init: function () {
@@ -266,17 +393,44 @@ AFRAME.registerComponent('portal', {
         this.system = window.APP.scene.systems.portal 
 
         this.updatePortal = this.updatePortal.bind(this)
+        this.unlock = this.unlock.bind(this)
+        this.unlockHere = this.unlockHere.bind(this)
+        this.nodeName = this.el.parentEl.parentEl.className
+
+        this.locked = this.data.locked
+        this.unlockedHere = false
+        this.lockSync = null
+        this.wasLocked = false
 
+        let configErrors = this.applyConfig()
         if (this.data.portalType.length > 0 ) {
-            this.setPortalInfo(this.data.portalType, this.data.portalTarget, this.data.color)
+            const infoErrors = this.setPortalInfo(this.data.portalType, this.data.portalTarget, this.data.color)
+            // applyConfig has already reported the problems it found
+            if (!configErrors || configErrors.length == 0) {
+                configErrors = infoErrors
+            }
         } else {
             this.portalType = 0
         }
 
-        if (this.portalType == 0) {
+        if (this.portalType == 0 && !configErrors) {
             // parse the name to get portal type, target, and color
             this.parseNodeName()
         }
+
+        if (configErrors && configErrors.length > 0) {
+            console.warn("portal '" + this.nodeName + "' is not configured correctly: ", configErrors)
+            showErrorMarker(this.el, "Portal configuration", configErrors)
+        }
+
+        if (this.portalType == 7 && !(this.data.text && this.data.text.length > 0)) {
+            // without a label, show where the portal goes
+            try {
+                this.data.text = new URL(this.portalTarget).hostname
+            } catch (e) {
+                showErrorMarker(this.el, "Portal configuration", ["'" + this.portalTarget + "' is not a web address"])
+            }
+        }
         
         this.portalTitle = null;
 
@@ -359,23 +513,80 @@ AFRAME.registerComponent('portal', {
 
     updatePortal: async function () {
         // no-op for portals that use pre-rendered cube maps
-        if (this.portalType == 2 || this.portalType == 3) { 
-            //this.el.sceneEl.addEventListener('model-loaded', () => {
-                showRegionForObject(this.el)
-                this.cubeCamera.update(this.el.sceneEl.renderer, this.el.sceneEl.object3D)
-                // this.cubeCamera.renderTarget.texture.generateMipmaps = true
-                // this.cubeCamera.renderTarget.texture.needsUpdate = true
-                hiderRegionForObject(this.el)
-            //}, once)
+        if (this.portalType == 2 || this.portalType == 3 || this.portalType == 6) { 
+            // the capture is spread over the next few frames.  Our cube map is shown on the 
+            // other portal of a pair, so its distance from the viewer sets the resolution
+            await this.el.sceneEl.systems['cubemap-scheduler'].request(this.cubeCamera, {
+                viewerEl: this.portalType == 2 ? this.other : this.el,
+                before: () => showRegionForObject(this.el),
+                after: () => hiderRegionForObject(this.el)
+            })
         }
     },
 
+    renderCubeCamera: function (cubeCamera = this.cubeCamera) {
+        // the cube camera must not render with the XR cameras when we are immersive
+        const renderer = this.el.sceneEl.renderer
+        const xrEnabled = renderer.xr.enabled
+        renderer.xr.enabled = false
+        cubeCamera.update(renderer, this.el.sceneEl.object3D)
+        renderer.xr.enabled = xrEnabled
+    },
+
+    // Our cube camera is what the other portal of the pair shows.  While the other portal
+    // is open (someone is close to it) move the camera to where the viewer is relative to 
+    // the other portal, mirrored onto this one, and capture again.  Depth is kept on the
+    // portal plane so we don't capture whatever is behind this portal.  The captures go
+    // through the cubemap scheduler like any other, one at a time, so they stay within its
+    // budget (and show our region only while they render).
+    updateLiveView: function (time) {
+        const viewing = !this.other.components.portal.isClosed()
+        if (!viewing) {
+            if (this.liveViewing) {
+                // back to the static snapshot from the center of the portal
+                this.liveViewing = false
+                this.cubeCamera.position.set(0, 0, 0)
+                this.cubeCamera.matrixNeedsUpdate = true
+                this.cubeCamera.updateMatrixWorld(true)
+                this.updatePortal()
+            }
+            return
+        }
+
+        if (!this.liveViewing) {
+            this.liveViewing = true
+            this.lastLiveRender = 0
+        }
+        if (this.liveCapturing) return
+        if (this.data.liveFps > 0 && time - this.lastLiveRender < 1000 / this.data.liveFps) {
+            return
+        }
+        this.lastLiveRender = time
+
+        this.el.sceneEl.camera.getWorldPosition(worldCameraPos)
+        this.other.object3D.worldToLocal(worldCameraPos)
+        this.cubeCamera.position.set(
+            THREE.MathUtils.clamp(-worldCameraPos.x, -0.5, 0.5),
+            THREE.MathUtils.clamp(worldCameraPos.y, -0.5, 0.5),
+            0
+        )
+        this.cubeCamera.matrixNeedsUpdate = true
+        this.cubeCamera.updateMatrixWorld(true)
+
+        this.liveCapturing = true
+        this.updatePortal().then(() => { this.liveCapturing = false })
+    },
+
     setupPortal: async function () {
-        // get rid of interactivity
-        if (this.el.classList.contains("interactable")) {
-            this.el.classList.remove("interactable")
+        if (this.data.clickable && this.canEnter()) {
+            this.setupClickable()
+        } else {
+            // get rid of interactivity
+            if (this.el.classList.contains("interactable")) {
+                this.el.classList.remove("interactable")
+            }
+            this.el.removeAttribute("is-remote-hover-target")
         }
-        this.el.removeAttribute("is-remote-hover-target")
         
         let target = this.data.materialTarget
         if (target && target.length == 0) {target=null}
@@ -388,30 +599,43 @@ AFRAME.registerComponent('portal', {
         })
 
         if (this.portalType == 1 && this.portalTarget != null) {
-            this.system.getCubeMap(this.portalTarget, this.data.secondaryTarget).then( urls => {
-                //const urls = [cubeMapPosX, cubeMapNegX, cubeMapPosY, cubeMapNegY, cubeMapPosZ, cubeMapNegZ];
-                const texture = new Promise((resolve, reject) =>
-                  new THREE.CubeTextureLoader().load(urls, resolve, undefined, reject)
-                ).then(texture => {
-                    texture.format = THREE.RGBFormat;
-                    //this.material.uniforms.cubeMap.value = texture;
-                    //this.materials.map((mat) => {mat.userData.cubeMap = texture;})
-                    this.cubeMap = texture
-                }).catch(e => console.error(e))    
-            })
+            this.system.getCubeMap(this.portalTarget, this.data.secondaryTarget).then(source =>
+                loadCubeMap(source, this.el.sceneEl.renderer, texture => { this.cubeMap = texture })
+            ).catch(e => console.error(e))
         } else if (this.portalType == 4) {
-            this.system.getCubeMapByName(this.portalTarget, this.data.secondaryTarget).then( urls => {
-                //const urls = [cubeMapPosX, cubeMapNegX, cubeMapPosY, cubeMapNegY, cubeMapPosZ, cubeMapNegZ];
-                const texture = new Promise((resolve, reject) =>
-                    new THREE.CubeTextureLoader().load(urls, resolve, undefined, reject)
-                ).then(texture => {
-                    texture.format = THREE.RGBFormat;
-                    //this.material.uniforms.cubeMap.value = texture;
-                    //this.materials.map((mat) => {mat.userData.cubeMap = texture;})
-                    this.cubeMap = texture
-                }).catch(e => console.error(e))    
+            this.system.getCubeMapByName(this.portalTarget, this.data.secondaryTarget).then(source =>
+                loadCubeMap(source, this.el.sceneEl.renderer, texture => { this.cubeMap = texture })
+            ).catch(e => console.error(e))
+        } else if (this.portalType == 7) {
+            this.confirm = new PortalConfirm(this.el.sceneEl)
+            let preview = this.data.preview
+            if (preview.length > 0) {
+                if (preview.includes(",")) {
+                    preview = preview.split(",").map(url => url.trim())
+                }
+                loadCubeMap(preview, this.el.sceneEl.renderer, texture => { this.cubeMap = texture })
+                    .catch(e => console.error("couldn't load portal preview: ", e))
+            }
+        } else if (this.portalType == 5) {
+            // the warp effect shows until a destination is chosen
+            this.cubeMap = null
+            this.selected = null
+            if (!this.other || this.other.length == 0) {
+                // getOther() has shown what's wrong with the destinations
+                return
+            }
+            this.menu = new PortalMenu(this.el, this.other, (index) => this.selectDestination(index))
+            this.other.forEach((choice, index) => {
+                this.resolveChoice(choice, texture => {
+                    if (!this.menu) return
+                    choice.cubeMap = texture
+                    this.menu.setPreview(index, texture)
+                    if (this.selected === choice) {
+                        this.cubeMap = texture
+                    }
+                }).catch(e => console.error("couldn't load preview for portal destination: ", choice, e))
             })
-        } else if (this.portalType == 2 || this.portalType == 3) { 
+        } else if (this.portalType == 2 || this.portalType == 3 || this.portalType == 6) { 
             if (THREE.REVISION < 125) {   
                 this.cubeCamera = new CubeCameraWriter(0.1, 1000, 1024)
             } else {
@@ -425,7 +649,7 @@ AFRAME.registerComponent('portal', {
                 // this.other.components.portal.material.uniforms.cubeMap.value = this.cubeCamera.renderTarget.texture 
                 //this.other.components.portal.materials.map((mat) => {mat.userData.cubeMap = this.cubeCamera.renderTarget.texture;})
                 this.other.components.portal.cubeMap = this.cubeCamera.renderTarget.texture
-            } else {
+            } else if (this.portalType == 3) {
                 let waypoint = document.getElementsByClassName(this.portalTarget)
                 if (waypoint.length > 0) {
                     waypoint = waypoint.item(0)
@@ -436,6 +660,12 @@ AFRAME.registerComponent('portal', {
                     //this.materials.map((mat) => {mat.userData.cubeMap = this.cubeCamera.renderTarget.texture;})
                     this.cubeMap = this.cubeCamera.renderTarget.texture
                 }
+            } else if (this.other) {
+                // the view from the target entity, at eye height if it's somewhere to stand
+                this.cubeCamera.position.y = this.other.components.waypoint ? 1.6 : 0
+                this.cubeCamera.needsUpdate = true
+                this.other.object3D.add(this.cubeCamera)
+                this.cubeMap = this.cubeCamera.renderTarget.texture
             }
             this.updatePortal()
             this.el.sceneEl.addEventListener('updatePortals', this.updatePortal)
@@ -461,10 +691,31 @@ AFRAME.registerComponent('portal', {
         
         this.close()
         this.el.setAttribute('proximity-events', { radius: 4, Yoffset: this.Yoffset })
-        this.el.addEventListener('proximityenter', () => this.open())
-        this.el.addEventListener('proximityleave', () => this.close())
+        this.el.addEventListener('proximityenter', () => {
+            if (!this.isLocked()) {
+                this.open()
+            }
+            this.menu && this.menu.show()
+            this.el.emit('portal-approach', { portal: this.el })
+        })
+        this.el.addEventListener('proximityleave', () => {
+            this.close()
+            this.menu && this.menu.hide()
+            this.el.emit('portal-depart', { portal: this.el })
+        })
 
         this.el.setObject3D.matrixAutoUpdate = true
+
+        if (this.data.audio.length > 0) {
+            this.setupAudio()
+        }
+
+        if (this.data.unlockEvent.length > 0) {
+            this.el.sceneEl.addEventListener(this.data.unlockEvent, this.unlockHere)
+        }
+        if (this.data.locked || this.data.unlockEvent.length > 0) {
+            this.setupLockNetworking()
+        }
     
         if (this.data.text && this.data.text.length > 0) {
             var titleScriptData = {
@@ -472,37 +723,43 @@ AFRAME.registerComponent('portal', {
                 height: this.data.textSize.y,
                 message: this.data.text
             }
-            const portalTitle = htmlComponents["PortalTitle"]
-            // const portalSubtitle = htmlComponents["PortalSubtitle"]
-
-            this.portalTitle = portalTitle(titleScriptData)
-            // this.portalSubtitle = portalSubtitle(subtitleScriptData)
-
-            this.portalTitle.waitForReady().then(() => {
-                this.el.setObject3D('portalTitle', this.portalTitle.webLayer3D)
-                this.portalTitle.webLayer3D.matrixAutoUpdate = true
-
-                let size = this.portalTitle.getSize()
-                let titleScaleX = (scaleW.x) / this.data.textScale
-                let titleScaleY = (scaleW.y) / this.data.textScale
-                let titleScaleZ = (scaleW.z) / this.data.textScale
-
-                this.portalTitle.webLayer3D.scale.x /= titleScaleX
-                this.portalTitle.webLayer3D.scale.y /= titleScaleY
-                this.portalTitle.webLayer3D.scale.z /= titleScaleZ
-
-                this.portalTitle.webLayer3D.position.x = 
-                        this.data.textPosition.x / (scaleW.x)
-                this.portalTitle.webLayer3D.position.y = 
-                        (0.5 * scaleM.y) +
-                        (this.data.drawDoor ? 0.105 : 0) / (scaleW.y) +
-                        ((size.height * this.data.textScale) /2) / (scaleW.y) + 
-                        this.data.textPosition.y / (scaleW.y)
-                this.portalTitle.webLayer3D.position.z = 
-                        this.data.textPosition.z / (scaleW.z)
-                // this.el.setObject3D('portalSubtitle', this.portalSubtitle.webLayer3D)
-            // this.portalSubtitle.webLayer3D.position.x = 1
-            })
+            // the title comes from the default script bundle (see utils/script-bundles.js),
+            // and the portal works without it if that doesn't load
+            getScript("PortalTitle").then(portalTitle => {
+                if (!portalTitle) throw new Error("the script bundle has no PortalTitle")
+                if (this.removed) return
+                // const portalSubtitle = htmlComponents["PortalSubtitle"]
+
+                this.portalTitle = portalTitle(titleScriptData)
+                // this.portalSubtitle = portalSubtitle(subtitleScriptData)
+
+                return this.portalTitle.waitForReady().then(() => {
+                    this.el.setObject3D('portalTitle', this.portalTitle.webLayer3D)
+                    this.portalTitle.webLayer3D.matrixAutoUpdate = true
+
+                    let size = this.portalTitle.getSize()
+                    let titleScaleX = (scaleW.x) / this.data.textScale
+                    let titleScaleY = (scaleW.y) / this.data.textScale
+                    let titleScaleZ = (scaleW.z) / this.data.textScale
+
+                    this.portalTitle.webLayer3D.scale.x /= titleScaleX
+                    this.portalTitle.webLayer3D.scale.y /= titleScaleY
+                    this.portalTitle.webLayer3D.scale.z /= titleScaleZ
+
+                    this.portalTitle.webLayer3D.position.x = 
+                            this.data.textPosition.x / (scaleW.x)
+                    this.portalTitle.webLayer3D.position.y = 
+                            (0.5 * scaleM.y) +
+                            (frameClearance(this.frameStyle(), scaleW.x * scaleM.x, scaleW.y * scaleM.y, 
+                                this.data.frameThickness) + 0.005) / (scaleW.y) +
+                            ((size.height * this.data.textScale) /2) / (scaleW.y) + 
+                            this.data.textPosition.y / (scaleW.y)
+                    this.portalTitle.webLayer3D.position.z = 
+                            this.data.textPosition.z / (scaleW.z)
+                    // this.el.setObject3D('portalSubtitle', this.portalSubtitle.webLayer3D)
+                // this.portalSubtitle.webLayer3D.position.x = 1
+                })
+            }).catch(e => console.warn("couldn't create the portal title: ", e))
             // this.portalSubtitle.webLayer3D.matrixAutoUpdate = true
         }
         // this.materials.map((mat) => {
@@ -513,8 +770,46 @@ AFRAME.registerComponent('portal', {
     },
 
     remove: function () {
+        this.removed = true
         this.el.sceneEl.removeEventListener('updatePortals', this.updatePortal)
         this.el.sceneEl.removeEventListener('model-loaded', this.updatePortal)
+        clearErrorMarker(this.el)
+        if (this.cubeCamera) {
+            this.el.sceneEl.systems['cubemap-scheduler'].cancel(this.cubeCamera)
+        }
+
+        this.liveViewing = false
+
+        if (this.data.unlockEvent.length > 0) {
+            this.el.sceneEl.removeEventListener(this.data.unlockEvent, this.unlockHere)
+        }
+        this.el.sceneEl.removeEventListener('didConnectToNetworkedScene', this.setupLockNetworked)
+
+        if (this.menu) {
+            this.menu.destroy()
+            this.menu = null
+            for (const choice of this.other) {
+                choice.cubeMap && choice.cubeMap.dispose()
+            }
+            // the chosen cube map was disposed with the others
+            this.cubeMap = null
+        }
+
+        if (this.onClick) {
+            this.el.object3D.removeEventListener('interact', this.onClick)
+        }
+        this.confirm && this.confirm.close(false)
+
+        if (this.audio) {
+            this.audio.destroy()
+            this.audio = null
+        }
+
+        if (this.frame) {
+            this.el.object3D.remove(this.frame)
+            disposeFrame(this.frame)
+            this.frame = null
+        }
 
         if (this.portalTitle) {
             this.el.removeObject3D("portalTitle")
@@ -571,83 +866,101 @@ AFRAME.registerComponent('portal', {
 //     // root.addEventListener("model-loaded", initializer);
 //   },
 
-//   followPortal: function() {
-//     if (this.portalType == 1) {
-//         console.log("set window.location.href to " + this.other)
-//         window.location.href = this.other
-//       } else if (this.portalType == 2) {
-//         this.system.teleportTo(this.other.object3D)
-//       }
-//   },
+    setupClickable: function () {
+        this.el.setAttribute('is-remote-hover-target', '')
+        this.el.setAttribute('tags', { singleActionButton: true })
+        this.el.classList.add("interactable")
+
+        this.hovered = false
+        // the color may still be a color name or hex string
+        this.color = new THREE.Color(this.color)
+        this.hoverColor = this.color.clone().lerp(new THREE.Color("white"), 0.6)
+        this.onClick = () => this.traverse({ clicked: true })
+        this.el.object3D.addEventListener('interact', this.onClick)
+    },
+
+    // is the cursor or a hand on the portal?  More or less copied from "hoverable-visuals.js"
+    // in hubs
+    isHovered: function () {
+        const interaction = this.el.sceneEl.systems.interaction
+        if (!interaction || !interaction.ready) return false
+
+        const toggling = this.el.sceneEl.systems["hubs-systems"].cursorTogglingSystem
+        const state = interaction.state
+        return (state.leftHand.hovered === this.el && !state.leftHand.held) ||
+            (state.rightHand.hovered === this.el && !state.rightHand.held) ||
+            (state.leftRemote.hovered === this.el && !state.leftRemote.held && !toggling.leftToggledOff) ||
+            (state.rightRemote.hovered === this.el && !state.rightRemote.held && !toggling.rightToggledOff)
+    },
+
+    setupAudio: function () {
+        this.audio = new PortalAudio(this.el, this.data.audioVolume)
+        if (this.data.audio !== "zone") {
+            this.audio.loadURL(this.data.audio)
+            return
+        }
+
+        if (this.portalType != 2) {
+            console.warn("portal audio 'zone' only works for portal_N_color pairs: ", this.el.className)
+            return
+        }
+        const sourceEl = findZoneAudioSource(this.other, this.data.audioZoneDistance)
+        if (!sourceEl) {
+            console.warn("no zone-audio-source within " + this.data.audioZoneDistance + "m of the other portal: ", this.el.className)
+            return
+        }
+        this.audio.connectZoneSource(sourceEl)
+    },
+
+    frameStyle: function () {
+        let style = this.data.frameStyle.length > 0 ? this.data.frameStyle : (this.data.drawDoor ? "rectangular" : "none")
+        if (!FRAME_STYLES.includes(style)) {
+            console.warn("unknown portal frame style '" + style + "', using rectangular")
+            style = "rectangular"
+        }
+        return style
+    },
 
     setupDoor: function() {
-        // attached to an image in spoke.  This is the only way we allow buidling a 
-        // door around it
-        let scaleM = this.el.object3DMap["mesh"].scale
+        const style = this.frameStyle()
+        if (style === "none") { return }
+
+        // the frame goes around the portal's image or model, and is built in meters
         let rot = new THREE.Quaternion()
         let scaleW = new THREE.Vector3()
         let pos = new THREE.Vector3()
         this.el.object3D.matrixWorld.decompose(pos, rot, scaleW)
 
-        var width = scaleW.x * scaleM.x
-        var height = scaleW.y * scaleM.y
-        var depth = scaleW.z * scaleM.z
-        
-        // let scaleI = this.el.object3D.scale
-        // var width = scaleM.x * scaleI.x
-        // var height = scaleM.y * scaleI.y
-        // var depth = 1.0; //  scaleM.z * scaleI.z
-        const environmentMapComponent = this.el.sceneEl.components["environment-map"];
-
-        // let above = new THREE.Mesh(
-        //     new THREE.SphereGeometry(1, 50, 50),
-        //     doormaterialY 
-        // );
-        // if (environmentMapComponent) {
-        //     environmentMapComponent.applyEnvironmentMap(above);
-        // }
-        // above.position.set(0, 2.5, 0)
-        // this.el.object3D.add(above)
-
-        let left = new THREE.Mesh(
-            // new THREE.BoxGeometry(0.1/width,2/height,0.1/depth,2,5,2),
-            new THREE.BoxGeometry(0.1/width,1,0.099/depth,2,5,2),
-            [doorMaterial,doorMaterial,doormaterialY, doormaterialY,doorMaterial,doorMaterial], 
-        );
-
-        if (environmentMapComponent) {
-            environmentMapComponent.applyEnvironmentMap(left);
+        const bounds = localBounds(this.el.object3D, this.el.object3DMap["mesh"])
+        if (bounds.isEmpty()) {
+            console.warn("portal has nothing to put a frame around: ", this.el.className)
+            return
         }
-        left.position.set(-0.51, 0, 0)
-        this.el.object3D.add(left)
-
-        let right = new THREE.Mesh(
-            new THREE.BoxGeometry(0.1/width,1,0.099/depth,2,5,2),
-            [doorMaterial,doorMaterial,doormaterialY, doormaterialY,doorMaterial,doorMaterial], 
-        );
-
-        if (environmentMapComponent) {
-            environmentMapComponent.applyEnvironmentMap(right);
+        const size = bounds.getSize(new THREE.Vector3())
+        const center = bounds.getCenter(new THREE.Vector3())
+
+        let envMap = this.data.frameEnvMap
+        if (envMap === "none" || envMap.length == 0) {
+            envMap = null
+        } else if (envMap.includes(",")) {
+            envMap = envMap.split(",").map(url => url.trim())
         }
-        right.position.set(0.51, 0, 0)
-        this.el.object3D.add(right)
+        const materials = getFrameMaterials({
+            color: this.data.frameColor,
+            texture: this.data.frameTexture,
+            envMap: envMap
+        }, this.el.sceneEl.renderer)
 
-        let top = new THREE.Mesh(
-            new THREE.BoxGeometry(1 + 0.3/width,0.1/height,0.1/depth,2,5,2),
-            [doormaterialY,doormaterialY,doorMaterial,doorMaterial,doorMaterial,doorMaterial], 
-        );
+        this.frame = buildFrame(style, size.x * scaleW.x, size.y * scaleW.y, this.data.frameThickness, materials)
+        this.frame.position.copy(center)
+        this.frame.scale.set(1 / scaleW.x, 1 / scaleW.y, 1 / scaleW.z)
+        this.frame.matrixNeedsUpdate = true
 
-        if (environmentMapComponent) {
-            environmentMapComponent.applyEnvironmentMap(top);
+        const environmentMapComponent = this.el.sceneEl.components["environment-map"];
+        if (environmentMapComponent && this.data.frameEnvMap.length == 0) {
+            this.frame.children.forEach(mesh => environmentMapComponent.applyEnvironmentMap(mesh))
         }
-        top.position.set(0.0, 0.505, 0)
-        this.el.object3D.add(top)
-
-        // if (width > 0 && height > 0) {
-        //     const {width: wsize, height: hsize} = this.script.getSize()
-        //     var scale = Math.min(width / wsize, height / hsize)
-        //     this.simpleContainer.setAttribute("scale", { x: scale, y: scale, z: scale});
-        // }
+        this.el.object3D.add(this.frame)
     },
 
     tick: function (time) {
@@ -658,6 +971,18 @@ AFRAME.registerComponent('portal', {
             this.portalTitle.tick(time)
             // this.portalSubtitle.tick(time)
         }
+        this.menu && this.menu.tick(time)
+        this.audio && this.audio.update(this.radius)
+
+        if (this.onClick) {
+            const hovered = this.isHovered()
+            if (hovered != this.hovered) {
+                this.hovered = hovered
+                this.materials.map((mat) => {
+                    mat.uniforms.portalRingColor.value = hovered ? this.hoverColor : this.color
+                })
+            }
+        }
 
         this.materials.map((mat) => {
             mat.userData.radius = this.radius
@@ -665,6 +990,24 @@ AFRAME.registerComponent('portal', {
             WarpPortalShader.updateUniforms(time, mat)
         })
 
+        if (this.data.live && this.portalType == 2 && this.cubeCamera && this.other) {
+            this.updateLiveView(time)
+        }
+
+        // the lock can change from the network or a lock condition, so keep the portal
+        // closed while locked, and open it again if we are still close when unlocked
+        const locked = this.isLocked()
+        if (locked != this.wasLocked) {
+            this.wasLocked = locked
+            const proximity = this.el.components['proximity-events']
+            if (locked) {
+                this.close()
+            } else if (proximity && proximity.inZone) {
+                this.open()
+            }
+            this.el.emit(locked ? 'portal-locked' : 'portal-unlocked', { portal: this.el })
+        }
+
         if (this.other && !this.system.teleporting) {
         //   this.el.object3D.getWorldPosition(worldPos)
         //   this.el.sceneEl.camera.getWorldPosition(worldCameraPos)
@@ -674,79 +1017,280 @@ AFRAME.registerComponent('portal', {
           this.el.object3D.worldToLocal(worldCameraPos)
 
           // in local portal coordinates, the width and height are 1
-          if (Math.abs(worldCameraPos.x) > 0.5 || Math.abs(worldCameraPos.y) > 0.5) {
-            return;
+          const inPortal = Math.abs(worldCameraPos.x) <= 0.5 && Math.abs(worldCameraPos.y) <= 0.5 &&
+                           Math.abs(worldCameraPos.z) < 0.25
+
+          // only go through once each time we walk into the portal.  When we 
+          // move outside the range of the portal, we will clear the flag
+          if (inPortal && !this.inPortal && this.canEnter()) {
+              this.traverse()
           }
-          const dist = Math.abs(worldCameraPos.z);
-
-          // window.APP.utils.changeToHub
-          if ((this.portalType == 1 || this.portalType == 4) && dist < 0.25) {
-              if (!this.locationhref) {
-                this.locationhref = this.other
-                if (!APP.store.state.preferences.fastRoomSwitching) {
-                    console.log("set window.location.href to " + this.other)
-                    window.location.href = this.other
-                } else {
-                    let wayPoint = this.data.secondaryTarget
-                    const environmentScene = document.querySelector("#environment-scene");
-                    let goToWayPoint = function() {
-                        if (wayPoint && wayPoint.length > 0) {
-                            console.log("FAST ROOM SWITCH INCLUDES waypoint: setting hash to " + wayPoint)
-                            window.location.hash = wayPoint
-                        }
-                    }
-                    console.log("FAST ROOM SWITCH. going to " + this.hub_id)
-                    if (this.hubId === APP.hub.hub_id) {
-                        console.log("Same Room")
-                        goToWayPoint()
-                    } else {
-                        window.changeHub(this.hub_id).then(() => {
-                            // environmentScene.addEventListener("model-loaded", () => {
-                            //     console.log("Environment scene has loaded");
-                                goToWayPoint()
-                            // })
-                        })
-                    }
+          this.inPortal = inPortal
+        }
+      },
+
+    // Describes where this portal goes, for the portal-before-traverse and 
+    // portal-after-traverse events
+    getTraversalDetail: function () {
+        let detail = {
+            portal: this.el,
+            portalType: this.portalType,
+            target: this.portalTarget,
+            waypoint: this.data.secondaryTarget,
+            hubId: null,
+            url: null,
+            destination: null
+        }
+        if (this.portalType == 1 || this.portalType == 4) {
+            detail.hubId = this.hub_id
+            detail.url = this.other
+        } else if (this.portalType == 2 || this.portalType == 6) {
+            detail.destination = this.other
+        } else if (this.portalType == 3) {
+            detail.waypoint = this.portalTarget
+            detail.url = this.other
+        } else if (this.portalType == 7) {
+            detail.url = this.other
+        } else if (this.portalType == 5 && this.selected) {
+            detail.target = this.selected.target
+            detail.waypoint = this.selected.type === "waypoint" ? this.selected.target : this.selected.waypoint
+            detail.hubId = this.selected.hubId
+            detail.url = this.selected.url
+            detail.label = this.selected.label
+        }
+        return detail
+    },
+
+    // Exit-only portals can be looked through but not used, and neither can a portal whose
+    // other end is entry-only (there's no coming out of it)
+    canEnter: function () {
+        if (this.data.direction === "exit") return false
+
+        const other = this.other && this.other.components && this.other.components.portal
+        return !(other && other.data.direction === "entry")
+    },
+
+    // Go through the portal.  Listeners for "portal-before-traverse" (on the portal, or the 
+    // scene, since it bubbles) can call preventDefault() to stop it, or pass a promise to
+    // detail.waitUntil() to hold it (for a confirmation dialog, say).  If any of those 
+    // promises resolves to false or rejects, we don't go. 
+    // "portal-after-traverse" follows, unless we are leaving the page.  `clicked` is true
+    // when we go through by clicking (or the keyboard) rather than walking in.
+    traverse: async function ({ clicked = false } = {}) {
+        if (this.traversing) return
+        if (this.isLocked()) {
+            this.el.emit('portal-refused', { portal: this.el, reason: "locked" })
+            return
+        }
+        // a chooser with nothing picked, or a room whose url couldn't be found
+        const noRoom = (this.portalType == 1 || this.portalType == 4) && !this.other
+        if ((this.portalType == 5 && !this.selected) || noRoom) {
+            this.el.emit('portal-refused', { portal: this.el, reason: "no-destination" })
+            return
+        }
+        this.traversing = true
+
+        let pending = []
+        let detail = this.getTraversalDetail()
+        detail.clicked = clicked
+        detail.waitUntil = (promise) => pending.push(promise)
+
+        const evt = new CustomEvent('portal-before-traverse', { bubbles: true, cancelable: true, detail: detail })
+        this.el.dispatchEvent(evt)
+
+        let allowed = !evt.defaultPrevented
+        if (allowed && pending.length > 0) {
+            try {
+                let results = await Promise.all(pending)
+                allowed = results.every(result => result !== false)
+            } catch (e) {
+                allowed = false
+            }
+        }
+        delete detail.waitUntil
+
+        // leaving for another site needs the viewer's ok
+        if (allowed && this.portalType == 7) {
+            allowed = await this.confirmExternal(detail.url)
+        }
+
+        if (allowed) {
+            try {
+                if (await this.followPortal(detail)) {
+                    this.el.emit('portal-after-traverse', detail)
                 }
+            } catch (e) {
+                console.error("portal traversal failed: ", e)
             }
-          } else if (this.portalType == 2 && dist < 0.25) {
-            this.system.teleportTo(this.other.object3D)
-          } else if (this.portalType == 3) {
-              if (dist < 0.25) {
-                if (!this.locationhref) {
-                  console.log("set window.location.hash to " + this.other)
-                  this.locationhref = this.other
-                  window.location.hash = this.other
+        }
+        this.traversing = false
+    },
+
+    // actually move, returning true if we stayed on this page
+    followPortal: async function (detail) {
+        const portalType = this.portalType == 5 ? CHOICE_TYPES[this.selected.type] : this.portalType
+
+        if (portalType == 1 || portalType == 4) {
+            if (!APP.store.state.preferences.fastRoomSwitching) {
+                console.log("set window.location.href to " + detail.url)
+                window.location.href = detail.url
+                return false
+            } 
+
+            let wayPoint = detail.waypoint
+            let goToWayPoint = function() {
+                if (wayPoint && wayPoint.length > 0) {
+                    console.log("FAST ROOM SWITCH INCLUDES waypoint: setting hash to " + wayPoint)
+                    window.location.hash = wayPoint
                 }
-              } else {
-                  // if we set locationhref, we teleported.  when it
-                  // finally happens, and we move outside the range of the portal,
-                  // we will clear the flag
-                  this.locationhref = null
-              }
-          }
+            }
+            console.log("FAST ROOM SWITCH. going to " + detail.hubId)
+            if (detail.hubId === APP.hub.hub_id) {
+                console.log("Same Room")
+            } else {
+                await window.changeHub(detail.hubId)
+            }
+            goToWayPoint()
+            return true
+        } else if (portalType == 2) {
+            // someone who clicked isn't standing in the portal, so don't carry their pose over
+            await this.system.teleportTo(this.other.object3D, detail.clicked ? null : this.el.object3D, this.data.fade)
+            return true
+        } else if (portalType == 3) {
+            console.log("set window.location.hash to " + detail.url)
+            window.location.hash = detail.url
+            return true
+        } else if (portalType == 6) {
+            // right onto the target, the way hubs goes to a waypoint
+            await this.system.teleportTo(this.other.object3D, null, this.data.fade, 0)
+            return true
+        } else if (portalType == 7) {
+            this.openExternal(detail.url)
+            return true
         }
-      },
+        return false
+    },
+
+    // The new tab is opened (empty) when the viewer clicks "open", since browsers block
+    // windows opened later, after the confirmation has resolved, and openExternal() sends
+    // it to the url
+    confirmExternal: function (url) {
+        let host = url
+        try {
+            host = new URL(url).host
+        } catch (e) {}
+
+        this.externalWindow = null
+        // "noopener" would make window.open return null, so we couldn't tell if it worked
+        const openTab = () => { this.externalWindow = window.open("", "_blank") }
+
+        if (this.el.sceneEl.is('vr-mode')) {
+            return this.confirm.ask(["Leave VR and open", host + " in a new tab?"], "Leave VR", openTab)
+        }
+        return this.confirm.ask(["Open " + host, "in a new tab?"], "Open", openTab)
+    },
+
+    // in the tab confirmExternal() opened, leaving VR if we are immersive.  If the browser 
+    // blocked the tab, offer to go there in this one instead
+    openExternal: function (url) {
+        const win = this.externalWindow
+        this.externalWindow = null
+
+        const sceneEl = this.el.sceneEl
+        if (sceneEl.is('vr-mode')) {
+            sceneEl.exitVR()
+        }
+
+        if (!win || win.closed) {
+            console.warn("the browser blocked opening " + url)
+            let host = url
+            try {
+                host = new URL(url).host
+            } catch (e) {}
+            this.confirm.ask(["The browser blocked the new tab.", "Go to " + host + " here instead?"], "Go").then(go => {
+                if (go) window.location.href = url
+            })
+            return
+        }
+        win.opener = null
+        win.location.href = url
+    },
+
+    selectDestination: function (index) {
+        this.selected = this.other[index]
+        this.cubeMap = this.selected.cubeMap || null
+        this.el.emit('portal-select', { portal: this.el, destination: this.selected })
+    },
+
+    // fill in the url and hub id of a "chooser" destination, and get its preview, which is
+    // passed to onPreview (perhaps more than once, if there is a placeholder)
+    resolveChoice: async function (choice, onPreview) {
+        if (choice.type === "waypoint") {
+            choice.url = "#" + choice.target
+            const texture = this.captureWaypoint(choice.target)
+            texture && onPreview(texture)
+            return
+        }
+
+        const destination = await this.system.resolveDestination(choice.type, choice.target, choice.waypoint)
+        choice.hubId = destination.hubId
+        choice.url = destination.url
+        if (choice.url && choice.waypoint && choice.waypoint.length > 0) {
+            choice.url += "#" + choice.waypoint
+        }
+        if (destination.cubeMap) {
+            await loadCubeMap(destination.cubeMap, this.el.sceneEl.renderer, onPreview)
+        }
+    },
+
+    // a one-time, low resolution capture of the view from a waypoint in this room
+    captureWaypoint: function (name) {
+        let waypoint = document.getElementsByClassName(name)
+        if (waypoint.length == 0) {
+            console.warn("portal destination waypoint '" + name + "' does not exist")
+            return null
+        }
+        waypoint = waypoint.item(0)
+
+        const cubeRenderTarget = new THREE.WebGLCubeRenderTarget( 256, { encoding: THREE.sRGBEncoding, generateMipmaps: true } )
+        const cubeCamera = new THREE.CubeCamera(1, 100000, cubeRenderTarget)
+        cubeCamera.position.y = 1.6
+        waypoint.object3D.add(cubeCamera)
+        cubeCamera.updateMatrixWorld(true)
+        this.renderCubeCamera(cubeCamera)
+        waypoint.object3D.remove(cubeCamera)
+        return cubeRenderTarget.texture
+    },
 
     getOther: function () {
         return new Promise((resolve) => {
-            if (this.portalType == 0) {
+            // the url of another room, or null (and an error marker) if it can't be found
+            const resolveRoom = (type) => {
+                this.system.resolveDestination(type, this.portalTarget).then(destination => {
+                    if (!destination.url) {
+                        throw new Error("no resolver knows its url")
+                    }
+                    this.hub_id = destination.hubId
+                    if (this.data.secondaryTarget && this.data.secondaryTarget.length > 0) {
+                        resolve(destination.url + "#" + this.data.secondaryTarget)
+                    } else {
+                        resolve(destination.url)
+                    }
+                }).catch(e => {
+                    console.warn("couldn't resolve portal destination '" + this.portalTarget + "': ", e)
+                    showErrorMarker(this.el, "Portal destination", [
+                        "couldn't find room '" + this.portalTarget + "': " + e.message
+                    ])
+                    resolve(null)
+                })
+            }
+
+            if (this.portalType <= 0) {
                 resolve(null)
             } else if (this.portalType  == 1) {
                 // first wait for the hub_id
                 if (this.portalTarget != null) {
-                    this.system.getRoomHubId(this.portalTarget).then(hub_id => {
-                        this.hub_id = hub_id
-                
-                        // the target is another room, resolve with the URL to the room
-                        this.system.getRoomURL(this.portalTarget).then(url => { 
-                            if (this.data.secondaryTarget && this.data.secondaryTarget.length > 0) {
-                                resolve(url + "#" + this.data.secondaryTarget)
-                            } else {
-                                resolve(url) 
-                            }
-                        })
-                    })
+                    resolveRoom("room")
                 } else {
                     resolve(null)
                 }
@@ -768,24 +1312,142 @@ AFRAME.registerComponent('portal', {
                 }
             } else if (this.portalType == 3) {
                 resolve ("#" + this.portalTarget)
-            } else if (this.portalType == 4) {
-                let url = window.location.origin + "/" + this.portalTarget;
-                this.hub_id = this.portalTarget
-                if (this.data.secondaryTarget && this.data.secondaryTarget.length > 0) {
-                    resolve(url + "#" + this.data.secondaryTarget)
+            } else if (this.portalType == 7) {
+                resolve(this.portalTarget)
+            } else if (this.portalType == 6) {
+                // any entity, by its name in the Spoke scene
+                const targets = document.getElementsByClassName(this.portalTarget)
+                if (targets.length == 0) {
+                    console.warn("portal target entity '" + this.portalTarget + "' does not exist")
+                    showErrorMarker(this.el, "Portal configuration", [
+                        "there is no '" + this.portalTarget + "' in the scene to go to"
+                    ])
+                    resolve(null)
                 } else {
-                    resolve(url) 
+                    resolve(targets.item(0))
+                }
+            } else if (this.portalType == 5) {
+                // the destinations to choose from
+                let choices = null
+                let errors = []
+                try {
+                    choices = JSON.parse(this.data.destinations)
+                } catch (e) {
+                    errors.push("'destinations' is not valid JSON: " + e.message)
+                }
+                if (errors.length == 0 && !(Array.isArray(choices) && choices.length > 0)) {
+                    errors.push("'destinations' must be a list of at least one destination")
+                }
+                if (errors.length == 0) {
+                    choices = choices.filter(choice => {
+                        if (!choice || !CHOICE_TYPES[choice.type]) {
+                            errors.push("destination type must be room, roomName or waypoint, not '" + (choice && choice.type) + "'")
+                            return false
+                        }
+                        if (choice.type === "room") {
+                            choice.target = parseInt(choice.target)
+                            if (isNaN(choice.target)) {
+                                errors.push("the target of a room destination must be a room number")
+                                return false
+                            }
+                        }
+                        return true
+                    })
+                }
+                if (errors.length > 0) {
+                    console.warn("portal '" + this.nodeName + "' has bad destinations: ", errors)
+                    showErrorMarker(this.el, "Portal configuration", errors)
                 }
+                resolve(Array.isArray(choices) && choices.length > 0 ? choices : null)
+            } else if (this.portalType == 4) {
+                resolveRoom("roomName")
             }
         })
     },
 
+    // the settings a configuration can have: the aliases and any schema property
+    configSpec: function () {
+        let spec = {
+            type: { type: "string", required: true, oneOf: PORTAL_TYPES },
+            target: { type: "string" },
+            waypoint: { type: "string" },
+            color: { type: "color" },
+            frame: { type: "string", oneOf: FRAME_STYLES },
+            label: { type: "string" }
+        }
+        const aliased = Object.values(CONFIG_ALIASES).concat(["config", "color"])
+        for (const key of Object.keys(this.schema)) {
+            if (aliased.includes(key)) continue
+
+            const type = this.schema[key].type
+            spec[key] = { type: ["boolean", "number", "color"].includes(type) ? type : "string" }
+            if (this.schema[key].oneOf) {
+                spec[key].oneOf = this.schema[key].oneOf
+            }
+        }
+        spec.frameStyle = { type: "string", oneOf: FRAME_STYLES }
+        return spec
+    },
+
+    // Read a structured configuration, from key=value pairs in the node name (see 
+    // utils/config-parser.js) and the JSON `config` property, into this.data.  For example
+    //     door__type=portal;target=gallery-2;waypoint=west-wing;color=#ff8800;frame=arch;label=To_the_gallery;clickable
+    // Returns null if there isn't one (so the node name is in the older type_target_color
+    // form), or a list of what is wrong with it
+    applyConfig: function () {
+        let config = {}
+        let errors = []
+
+        const text = findConfigText(this.nodeName)
+        if (text) {
+            config = parseKeyValues(text)
+            // spaces in the node name were turned into underscores
+            if (typeof config.label === "string") {
+                config.label = config.label.replace(/_/g, " ")
+            }
+        }
+        if (this.data.config.length > 0) {
+            const json = parseJSONConfig(this.data.config)
+            errors = json.errors
+            if (Array.isArray(json.config.destinations)) {
+                json.config.destinations = JSON.stringify(json.config.destinations)
+            }
+            Object.assign(config, json.config)
+        }
+        if (!text && this.data.config.length == 0) {
+            return null
+        }
+
+        const result = validateConfig(config, this.configSpec())
+        const values = result.values
+        errors = errors.concat(result.errors)
+
+        if (values.type && values.type !== "chooser" && !values.target) {
+            errors.push("'target' is required for " + values.type + " portals")
+        }
+        if (values.type === "room" && values.target && !/^[0-9]+$/.test(values.target)) {
+            errors.push("the target of a room portal must be a room number, not '" + values.target + "'")
+        }
+        if (values.type === "url" && values.target && !/^https?:\/\//.test(values.target)) {
+            errors.push("the target of a url portal must start with http:// or https://, not '" + values.target + "'")
+        }
+        if (values.type === "chooser" && !values.destinations) {
+            errors.push("'destinations' is required for chooser portals")
+        }
+
+        for (const key of Object.keys(values)) {
+            this.data[CONFIG_ALIASES[key] || key] = values[key]
+        }
+        return errors
+    },
+
     parseNodeName: function () {
         const nodeName = this.el.parentEl.parentEl.className
 
         // nodes should be named anything at the beginning with either 
         // - "room_name_color"
         // - "portal_N_color" 
+        // - "chooser_name_color"
         // at the very end. Numbered portals should come in pairs.
         const params = nodeName.match(/([A-Za-z]*)_([A-Za-z0-9]*)_([A-Za-z0-9]*)$/)
         
@@ -793,20 +1455,31 @@ AFRAME.registerComponent('portal', {
         // second is the name or number, and last is the color
         if (!params || params.length < 4) {
             console.warn("portal node name not formed correctly: ", nodeName)
+            showErrorMarker(this.el, "Portal configuration", [
+                "'" + nodeName + "' should end with type_target_color, or use key=value settings"
+            ])
             this.portalType = 0
             this.portalTarget = null
-            this.color = "red" // default so the portal has a color to use
+            this.color = new THREE.Color("red") // default so the portal has a color to use
             return;
         } 
-        this.setPortalInfo(params[1], params[2], params[3])
+        const errors = this.setPortalInfo(params[1], params[2], params[3])
+        if (errors.length > 0) {
+            console.warn("portal node name '" + nodeName + "' is not set up correctly: ", errors)
+            showErrorMarker(this.el, "Portal configuration", errors)
+        }
     },
 
+    // Set the type, target and color, returning a list of what's wrong with them.  A type
+    // we don't know is -1, so it isn't taken for a portal that hasn't been configured (0).
     setPortalInfo: function(portalType, portalTarget, color) {
+        let errors = []
+        portalTarget = portalTarget || ""
         if (portalType === "room") {
             this.portalType = 1;
-            if (portalTarget.length > 0) {
-                this.portalTarget = parseInt(portalTarget)
-            } else {
+            this.portalTarget = portalTarget.length > 0 ? parseInt(portalTarget) : null
+            if (isNaN(this.portalTarget)) {
+                errors.push("the target of a room portal must be a room number, not '" + portalTarget + "'")
                 this.portalTarget = null
             }
         } else if (portalType === "portal") {
@@ -818,11 +1491,126 @@ AFRAME.registerComponent('portal', {
         } else if (portalType === "roomName") {
             this.portalType = 4;
             this.portalTarget = portalTarget
+        } else if (portalType === "chooser") {
+            this.portalType = 5;
+            this.portalTarget = portalTarget
+        } else if (portalType === "entity") {
+            this.portalType = 6;
+            this.portalTarget = portalTarget
+        } else if (portalType === "url") {
+            this.portalType = 7;
+            this.portalTarget = portalTarget
         } else {    
-            this.portalType = 0;
+            errors.push("'" + portalType + "' is not a portal type (use " + PORTAL_TYPES.join(", ") + ")")
+            this.portalType = -1;
             this.portalTarget = null
         } 
+        if (this.portalType > 0 && this.portalType != 5 && portalTarget.length == 0) {
+            errors.push("'" + portalType + "' portals need a target")
+        }
         this.color = new THREE.Color(color)
+        return errors
+    },
+
+    isLocked: function () {
+        if (this.data.lockCondition.length > 0) {
+            const condition = this.system.lockConditions[this.data.lockCondition]
+            if (!condition || !condition(this)) {
+                return true
+            }
+        }
+        if (this.unlockedHere) return false
+        return this.lockSync ? this.lockSync.data.locked : this.locked
+    },
+
+    // change the shared lock state.  Returns false if we aren't a moderator, or couldn't take
+    // ownership of it
+    setLocked: function (locked) {
+        if (!canChangeLocks()) {
+            console.warn("only moderators can lock and unlock portals")
+            return false
+        }
+        this.locked = locked
+        if (this.lockSync) {
+            return this.lockSync.setLocked(locked)
+        }
+        this.lockChanged = true
+        this.setupLockNetworking()
+        return true
+    },
+
+    unlock: function () {
+        this.setLocked(false)
+    },
+
+    // for `unlockEvent`: open it for us, whatever the shared lock says, since the event is
+    // something we did (anyone can do it, so it doesn't need a moderator)
+    unlockHere: function () {
+        this.unlockedHere = true
+    },
+
+    lock: function () {
+        this.setLocked(true)
+    },
+
+    // The lock state lives on a networked entity we create for each lockable portal.  This
+    // follows what html-script does for its shared data.
+    setupLockNetworking: function () {
+        if (this.setupLockNetworked) return
+
+        this.setupLockEntity = function (networkedEl) {
+            var persistent = true;
+            var netId;
+            if (networkedEl) {
+                // in a networked GLTF that was dropped in the room or pinned
+                netId = NAF.utils.getNetworkId(networkedEl) + "-portal-lock";
+                persistent = networkedEl.components.networked.data.persistent;
+            } else {
+                // part of the scene, so assume each portal node has a unique name
+                netId = this.nodeName.replaceAll("_","-") + "-portal-lock"
+            }
+
+            var entity;
+            if (NAF.entities.hasEntity(netId)) {
+                entity = NAF.entities.getEntity(netId);
+            } else {
+                entity = document.createElement('a-entity')
+
+                // so the networked component can get our initial state
+                entity.getInitialLocked = () => this.locked;
+
+                entity.setAttribute('networked', {
+                    template: "#portal-lock-media",
+                    persistent: persistent,
+                    owner: "scene",  // so that our initial value doesn't overwrite others
+                    networkId: netId
+                });
+                this.el.sceneEl.appendChild(entity);
+            }
+
+            NAF.utils.getNetworkedEntity(entity).then(networkedEl => {
+                this.lockSync = networkedEl.components["portal-lock"]
+                if (this.lockChanged) {
+                    // the lock was changed here before we had the networked entity
+                    this.lockChanged = false
+                    this.lockSync.setLocked(this.locked)
+                }
+            })
+        }.bind(this)
+
+        this.setupLockNetworked = function () {
+            NAF.utils.getNetworkedEntity(this.el).then(networkedEl => {
+                this.setupLockEntity(networkedEl)
+            }).catch(() => {
+                this.setupLockEntity()
+            })
+        }.bind(this)
+
+        if (NAF.connection && NAF.connection.isConnected()) {
+            this.setupLockNetworked();
+        } else {
+            this.el.sceneEl.addEventListener('didConnectToNetworkedScene', this.setupLockNetworked, once)
+        }
     },
 
     setRadius(val) {
@@ -842,4 +1630,64 @@ AFRAME.registerComponent('portal', {
         // return this.material.uniforms.radius.value === 0
         return this.radius === 0.2
     },
-})
\ No newline at end of file
+})
+
+// The shared lock state of a portal
+// Only people who can change the room (moderators and the owner) can lock and unlock
+// portals.  Without a hub channel we aren't in a networked room, so it's up to us.
+function canChangeLocks() {
+    const hubChannel = window.APP && window.APP.hubChannel
+    if (!hubChannel) return true
+
+    return hubChannel.can("update_hub") || (typeof hubChannel.isModerator === "function" && hubChannel.isModerator())
+}
+
+AFRAME.registerComponent('portal-lock', {
+    schema: {
+        locked: { type: "boolean", default: false },
+    },
+    init: function () {
+        this.setLocked = this.setLocked.bind(this);
+
+        if (this.el.getInitialLocked) {
+            this.el.setAttribute("portal-lock", "locked", this.el.getInitialLocked());
+        }
+    },
+
+    play() {
+        if (this.el.components.networked) {
+            if (APP.utils) { // temporary till we ship new client
+                APP.utils.applyPersistentSync(this.el.components.networked.data.networkId);
+            }
+        }
+    },
+
+    setLocked(locked) {
+        if (!canChangeLocks()) return false;
+        if (!NAF.utils.isMine(this.el) && !NAF.utils.takeOwnership(this.el)) return false;
+
+        this.el.setAttribute("portal-lock", "locked", locked);
+        return true
+    }
+});
+
+document.querySelector("a-assets").insertAdjacentHTML(
+    'beforeend',
+    `
+    <template id="portal-lock-media">
+      <a-entity
+        portal-lock
+      ></a-entity>
+    </template>
+  `
+)
+
+// "locked" is not in nonAuthorizedComponents, so Hubs drops changes to it from people
+// who aren't allowed to change the room
+NAF.schemas.add({
+    template: "#portal-lock-media",
+    components: [{
+        component: "portal-lock",
+        property: "locked"
+    }],
+});
@@ -1,6 +1,9 @@
 /**
  * control a video from a component you stand on.  Implements a radius from the center of 
  * the object it's attached to, in meters
+ *
+ * If `channel` is set, the video can also be controlled with { type: "play" | "pause" | "toggle" }
+ * messages on that message-bus channel
  */
 
 import { Entity, Component } from 'aframe'
@@ -13,10 +16,12 @@ interface AObject3D extends THREE.Object3D {
 
 AFRAME.registerComponent('video-control-pad', {
     mediaVideo: {} as Component,
+    unsubscribe: null as (() => void) | null,
     
     schema: {
         target: { type: 'string', default: "" },  // if nothing passed, just create some noise
-        radius: { type: 'number', default: 1 }
+        radius: { type: 'number', default: 1 },
+        channel: { type: 'string', default: "" }
     },
 
     init: function () {
@@ -71,6 +76,26 @@ AFRAME.registerComponent('video-control-pad', {
         this.el.setAttribute('proximity-events', { radius: this.data.radius, Yoffset: 1.6 })
         this.el.addEventListener('proximityenter', () => this.enterRegion())
         this.el.addEventListener('proximityleave', () => this.leaveRegion())
+
+        if (this.data.channel.length > 0) {
+            //@ts-ignore
+            this.unsubscribe = this.el.sceneEl.systems["message-bus"].subscribe(this.data.channel, (message: any) => this.handleMessage(message))
+        }
+    },
+
+    handleMessage: function (message: any) {
+        if (message.type === "play") {
+            this.enterRegion()
+        } else if (message.type === "pause") {
+            this.leaveRegion()
+        } else if (message.type === "toggle") {
+            //@ts-ignore
+            this.mediaVideo.togglePlaying()
+        }
+    },
+
+    remove: function () {
+        this.unsubscribe && this.unsubscribe()
     },
 
     enterRegion: function () {
@@ -1,4 +1,7 @@
 import '../systems/fader-plus.js'
+import '../systems/cubemap-scheduler.js'
+import '../systems/message-bus.js'
+import '../systems/text-input.js'
 import '../components/portal.js'
 import '../components/immersive-360.js'
 import '../components/parallax.js'
@@ -11,9 +14,11 @@ import "../components/show-hide.js"
 
 AFRAME.GLTFModelPlus.registerComponent('immersive-360', 'immersive-360');
 AFRAME.GLTFModelPlus.registerComponent('portal', 'portal');
+AFRAME.GLTFModelPlus.registerComponent('portal-manifest', 'portal-manifest');
 AFRAME.GLTFModelPlus.registerComponent('shader', 'shader');
 AFRAME.GLTFModelPlus.registerComponent('parallax', 'parallax');
 AFRAME.GLTFModelPlus.registerComponent('html-script', 'html-script');
+AFRAME.GLTFModelPlus.registerComponent('html-script-bundle', 'html-script-bundle');
 AFRAME.GLTFModelPlus.registerComponent('region-hider', 'region-hider');
 AFRAME.GLTFModelPlus.registerComponent('video-control-pad', 'video-control-pad');
 AFRAME.GLTFModelPlus.registerComponent('show-hide', 'show-hide');
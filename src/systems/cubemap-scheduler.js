@@ -0,0 +1,179 @@
+/**
+ * Description
+ * ===========
+ * Spreads cube map captures (the views through in-room portals) over several frames,
+ * instead of rendering the whole scene six times per portal whenever something loads.
+ *
+ * Captures are queued with request(); asking again for a cube camera that is already queued
+ * just waits for that capture.  Each frame renders one face, and more if they fit in
+ * `budget` milliseconds.  Before a capture starts the cube map is sized by how far the
+ * viewer is from the portal that shows it: `maxSize` within `nearDistance` meters, falling
+ * to `minSize` at `farDistance`.  Captures that are done are checked every
+ * SIZE_CHECK_INTERVAL, and captured again when the viewer has moved into another size.
+ */
+
+const viewerPos = new THREE.Vector3()
+const portalPos = new THREE.Vector3()
+
+// a THREE.CubeCamera has a child camera for each face
+const FACES = 6
+const SIZE_CHECK_INTERVAL = 500 // milliseconds
+
+function powerOfTwo(size) {
+  return Math.pow(2, Math.round(Math.log2(size)))
+}
+
+// WebGLRenderTarget.setSize doesn't update the six face images of a cube texture
+function resizeCubeTarget(renderTarget, size) {
+  renderTarget.setSize(size, size)
+  const images = Array.isArray(renderTarget.texture.image) ? renderTarget.texture.image : [renderTarget.texture.image]
+  images.forEach(image => {
+    image.width = size
+    image.height = size
+  })
+}
+
+AFRAME.registerSystem('cubemap-scheduler', {
+  schema: {
+    budget: { type: 'number', default: 4 }, // milliseconds of capturing per frame
+    minSize: { type: 'number', default: 256 },
+    maxSize: { type: 'number', default: 1024 },
+    nearDistance: { type: 'number', default: 4 },
+    farDistance: { type: 'number', default: 20 },
+  },
+
+  init() {
+    this.queue = []
+    this.job = null
+    // the options and size of each finished capture, by cube camera
+    this.captured = new Map()
+    this.lastSizeCheck = 0
+  },
+
+  /**
+   * Capture `cubeCamera`.  Options:
+   * - viewerEl: the entity the cube map is shown on, used to pick the resolution
+   * - before, after: called around the faces rendered each frame, for showing the regions
+   *   the capture should see just while it renders (and not to the viewer)
+   * Resolves when all six faces have been rendered.
+   */
+  request(cubeCamera, options = {}) {
+    if (this.job && this.job.cubeCamera === cubeCamera) {
+      // something changed part way through, so go around again once this one is done
+      this.job.again = true
+      return this.job.promise
+    }
+    const queued = this.queue.find(job => job.cubeCamera === cubeCamera)
+    if (queued) {
+      return queued.promise
+    }
+
+    const job = { cubeCamera: cubeCamera, options: options, face: 0, again: false }
+    job.promise = new Promise(resolve => { job.resolve = resolve })
+    this.queue.push(job)
+    return job.promise
+  },
+
+  // drop any capture of `cubeCamera`, when its portal goes away
+  cancel(cubeCamera) {
+    const cancelled = this.queue.filter(job => job.cubeCamera === cubeCamera)
+    this.queue = this.queue.filter(job => job.cubeCamera !== cubeCamera)
+    if (this.job && this.job.cubeCamera === cubeCamera) {
+      cancelled.push(this.job)
+      this.job = null
+    }
+    this.captured.delete(cubeCamera)
+    cancelled.forEach(job => job.resolve())
+  },
+
+  sizeFor(viewerEl) {
+    if (!viewerEl) return this.data.maxSize
+
+    this.el.camera.getWorldPosition(viewerPos)
+    viewerEl.object3D.getWorldPosition(portalPos)
+    const distance = viewerPos.distanceTo(portalPos)
+    const t = THREE.MathUtils.clamp(
+      (distance - this.data.nearDistance) / (this.data.farDistance - this.data.nearDistance), 0, 1)
+    return powerOfTwo(THREE.MathUtils.lerp(this.data.maxSize, this.data.minSize, t))
+  },
+
+  startJob(job) {
+    const size = this.sizeFor(job.options.viewerEl)
+    const renderTarget = job.cubeCamera.renderTarget
+    if (renderTarget.width !== size) {
+      resizeCubeTarget(renderTarget, size)
+    }
+    job.face = 0
+    job.size = size
+    this.job = job
+  },
+
+  finishJob(job) {
+    this.job = null
+    this.captured.set(job.cubeCamera, { options: job.options, size: job.size })
+    if (job.again) {
+      job.again = false
+      this.queue.push(job)
+    } else {
+      job.resolve()
+    }
+  },
+
+  // capture again anything the viewer has moved far enough from (or near enough to) for
+  // it to need another size
+  checkSizes() {
+    for (const [cubeCamera, capture] of this.captured) {
+      if (this.sizeFor(capture.options.viewerEl) !== capture.size) {
+        this.captured.delete(cubeCamera)
+        this.request(cubeCamera, capture.options)
+      }
+    }
+  },
+
+  // the same as CubeCamera.update, one face at a time
+  renderFace(cubeCamera, face) {
+    const renderer = this.el.renderer
+    const renderTarget = cubeCamera.renderTarget
+    const currentRenderTarget = renderer.getRenderTarget()
+    const xrEnabled = renderer.xr.enabled
+    const generateMipmaps = renderTarget.texture.generateMipmaps
+
+    // the cube camera must not render with the XR cameras when we are immersive, and
+    // mipmaps are only worth making once the last face is done
+    renderer.xr.enabled = false
+    renderTarget.texture.generateMipmaps = face == FACES - 1 && generateMipmaps
+
+    if (cubeCamera.parent === null) cubeCamera.updateMatrixWorld()
+    renderer.setRenderTarget(renderTarget, face)
+    renderer.render(this.el.object3D, cubeCamera.children[face])
+
+    renderTarget.texture.generateMipmaps = generateMipmaps
+    renderer.setRenderTarget(currentRenderTarget)
+    renderer.xr.enabled = xrEnabled
+  },
+
+  tick(time) {
+    if (time - this.lastSizeCheck > SIZE_CHECK_INTERVAL) {
+      this.lastSizeCheck = time
+      this.checkSizes()
+    }
+
+    if (!this.job) {
+      if (this.queue.length == 0) return
+      this.startJob(this.queue.shift())
+    }
+
+    const job = this.job
+    const start = performance.now()
+    job.options.before && job.options.before()
+    do {
+      this.renderFace(job.cubeCamera, job.face)
+      job.face++
+    } while (job.face < FACES && performance.now() - start < this.data.budget)
+    job.options.after && job.options.after()
+
+    if (job.face == FACES) {
+      this.finishJob(job)
+    }
+  },
+})
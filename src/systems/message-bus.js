@@ -0,0 +1,94 @@
+/**
+ * Description
+ * ===========
+ * Named channels that scripts and components can publish messages to and subscribe to, so
+ * a control panel html-script can filter a force-graph or start a video, for example.
+ *
+ * Messages are delivered to everyone subscribed to the channel in this client.  Publishing
+ * with `networked` set also sends the message (which must be JSON) to the same channel in
+ * everyone else's client.  Listeners are called with (message, { channel, remote, sender }),
+ * where `remote` is true for messages from other clients and `sender` is their client id.
+ *
+ *     const bus = this.el.sceneEl.systems["message-bus"]
+ *     const unsubscribe = bus.subscribe("graph-1", (message) => ...)
+ *     bus.publish("graph-1", { type: "filter", field: "group", value: 2 }, true)
+ *
+ * html-scripts get `messageBus` in their scriptData, a client() whose subscriptions are
+ * removed when the script is.
+ */
+
+AFRAME.registerSystem('message-bus', {
+  init() {
+    this.channels = new Map()
+    this.subscribed = false
+    this.subscribeToNetwork()
+    this.el.addEventListener('didConnectToNetworkedScene', () => this.subscribeToNetwork())
+  },
+
+  subscribeToNetwork() {
+    if (this.subscribed || !window.NAF || !NAF.connection) return
+    this.subscribed = true
+
+    NAF.connection.subscribeToDataChannel('message-bus', (senderId, dataType, data) => {
+      this.deliver(data.channel, data.message, { channel: data.channel, remote: true, sender: senderId })
+    })
+  },
+
+  // returns a function that unsubscribes
+  subscribe(channel, listener) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set())
+    }
+    this.channels.get(channel).add(listener)
+    return () => this.unsubscribe(channel, listener)
+  },
+
+  unsubscribe(channel, listener) {
+    const listeners = this.channels.get(channel)
+    if (!listeners) return
+
+    listeners.delete(listener)
+    if (listeners.size == 0) {
+      this.channels.delete(channel)
+    }
+  },
+
+  publish(channel, message, networked = false) {
+    this.deliver(channel, message, { channel: channel, remote: false, sender: window.NAF ? NAF.clientId : null })
+
+    if (networked && window.NAF && NAF.connection && NAF.connection.isConnected()) {
+      NAF.connection.broadcastDataGuaranteed('message-bus', { channel: channel, message: message })
+    }
+  },
+
+  deliver(channel, message, info) {
+    const listeners = this.channels.get(channel)
+    if (!listeners) return
+
+    // listeners may unsubscribe while we go through them
+    for (const listener of Array.from(listeners)) {
+      try {
+        listener(message, info)
+      } catch (e) {
+        console.error("message-bus listener on '" + channel + "' failed: ", e)
+      }
+    }
+  },
+
+  // the same methods, keeping track of subscriptions so unsubscribeAll() can remove them
+  client() {
+    let unsubscribers = []
+    return {
+      publish: (channel, message, networked = false) => this.publish(channel, message, networked),
+      subscribe: (channel, listener) => {
+        const unsubscribe = this.subscribe(channel, listener)
+        unsubscribers.push(unsubscribe)
+        return unsubscribe
+      },
+      unsubscribeAll: () => {
+        unsubscribers.forEach(unsubscribe => unsubscribe())
+        unsubscribers = []
+      }
+    }
+  },
+})
@@ -0,0 +1,132 @@
+/**
+ * Description
+ * ===========
+ * Typing into html-scripts.  A script asks for the keyboard with focus() (through
+ * `scriptData.keyboard` in html-script) and gets each key pressed, until it calls blur() or
+ * someone presses Escape or "done".
+ *
+ * On a desktop, key presses go to the focused script instead of Hubs, so typing "w" doesn't
+ * walk forward.  Ctrl, Alt and Meta combinations are left to the browser, so shortcuts like
+ * copy or switching tabs still work.  In a headset, or on a phone, a virtual keyboard
+ * appears in front of the viewer (see utils/virtual-keyboard.js).
+ *
+ * The focused target is an object with keyDown(evt) and focusLost() methods, where evt is
+ * { key, shiftKey, ctrlKey, altKey, metaKey } with DOM key names.
+ */
+
+import { VirtualKeyboard } from '../utils/virtual-keyboard.js'
+
+AFRAME.registerSystem('text-input', {
+  init() {
+    this.target = null
+    this.text = ''
+    this.keyboard = new VirtualKeyboard(this.el, key => this.virtualKey(key))
+
+    this.onKeyDown = this.onKeyDown.bind(this)
+    this.onKeyUp = this.onKeyUp.bind(this)
+    this.updateKeyboard = this.updateKeyboard.bind(this)
+    // capture, so we see keys before Hubs does
+    window.addEventListener('keydown', this.onKeyDown, true)
+    window.addEventListener('keyup', this.onKeyUp, true)
+    this.el.addEventListener('enter-vr', this.updateKeyboard)
+    this.el.addEventListener('exit-vr', this.updateKeyboard)
+  },
+
+  remove() {
+    window.removeEventListener('keydown', this.onKeyDown, true)
+    window.removeEventListener('keyup', this.onKeyUp, true)
+    this.el.removeEventListener('enter-vr', this.updateKeyboard)
+    this.el.removeEventListener('exit-vr', this.updateKeyboard)
+    this.keyboard.hide()
+  },
+
+  // `value` is the text already in the field, shown on the virtual keyboard
+  focus(target, { value = '' } = {}) {
+    if (this.target && this.target !== target) {
+      this.target.focusLost()
+    }
+    this.target = target
+    this.text = value
+    this.updateKeyboard()
+  },
+
+  blur(target) {
+    if (this.target !== target) return
+
+    this.target = null
+    this.keyboard.hide()
+  },
+
+  isFocused(target) {
+    return this.target === target
+  },
+
+  needsVirtualKeyboard() {
+    return this.el.is('vr-mode') || AFRAME.utils.device.isMobile()
+  },
+
+  updateKeyboard() {
+    if (this.target && this.needsVirtualKeyboard()) {
+      this.keyboard.show(this.text)
+    } else {
+      this.keyboard.hide()
+    }
+  },
+
+  // keys typed into the chat box and other inputs are theirs
+  isForUs() {
+    if (!this.target) return false
+    const active = document.activeElement
+    return !(active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.isContentEditable))
+  },
+
+  // AltGr types characters on some keyboards (and sets ctrlKey and altKey), so isn't one
+  isShortcut(evt) {
+    if (evt.getModifierState && evt.getModifierState('AltGraph')) return false
+    return evt.ctrlKey || evt.altKey || evt.metaKey || ['Control', 'Alt', 'Meta'].includes(evt.key)
+  },
+
+  onKeyDown(evt) {
+    if (!this.isForUs() || this.isShortcut(evt)) return
+
+    evt.preventDefault()
+    evt.stopImmediatePropagation()
+    this.send({
+      key: evt.key,
+      shiftKey: evt.shiftKey,
+      ctrlKey: evt.ctrlKey,
+      altKey: evt.altKey,
+      metaKey: evt.metaKey
+    })
+  },
+
+  onKeyUp(evt) {
+    if (!this.isForUs() || this.isShortcut(evt)) return
+
+    evt.preventDefault()
+    evt.stopImmediatePropagation()
+  },
+
+  virtualKey(key) {
+    this.send({ key: key, shiftKey: false, ctrlKey: false, altKey: false, metaKey: false })
+  },
+
+  send(evt) {
+    const target = this.target
+    if (evt.key === 'Escape') {
+      this.blur(target)
+      target.focusLost()
+      return
+    }
+
+    // keep our copy of the text for the virtual keyboard's display
+    if (evt.key === 'Backspace') {
+      this.text = this.text.substring(0, this.text.length - 1)
+    } else if (evt.key.length == 1 && !evt.ctrlKey && !evt.metaKey) {
+      this.text += evt.key
+    }
+    this.keyboard.setText(this.text)
+
+    target.keyDown(evt)
+  },
+})
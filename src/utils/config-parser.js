@@ -0,0 +1,187 @@
+/**
+ * Description
+ * ===========
+ * Parse and check the configuration of a component, written in a Spoke node name or a JSON
+ * string.
+ *
+ * Node names use `key=value` pairs separated by `;`, with a bare `key` meaning true, after
+ * any descriptive label:
+ *
+ *     gallery-door__type=portal;target=gallery-2;color=#ff8800;frame=arch;clickable
+ *
+ * Hubs replaces whitespace in node names with `_` and removes `[ ] . : /`, so values can't
+ * contain those.
+ *
+ * A spec describes the keys that are allowed: { key: { type, required, oneOf } }, where
+ * type is "string", "number", "int", "boolean", "color", "url", "object" or "array".
+ *
+ * Script parameters (see parseParams) can also be nested, and percent-encoded so they fit
+ * in a node name or a Spoke text field:
+ *
+ *     title=Planets;slides.count=8;slides.loop=true;source=https%3A%2F%2Fexample%2Eorg%2Fplanets
+ */
+
+// the key=value part of a node name, or null if it doesn't have one
+export function findConfigText(name) {
+    const start = name.search(/[A-Za-z][A-Za-z0-9]*=/)
+    return start < 0 ? null : name.substring(start)
+}
+
+export function parseKeyValues(text) {
+    let config = {}
+    for (const item of text.split(";")) {
+        if (item.length == 0) continue
+
+        const equals = item.indexOf("=")
+        if (equals < 0) {
+            config[item] = true
+        } else {
+            config[item.substring(0, equals)] = item.substring(equals + 1)
+        }
+    }
+    return config
+}
+
+// A value from key=value text, as a boolean if it is one, or a number if it's plain decimal
+// that reads back the same.  Anything else ("007", "0x10", "1e3", "1.50") stays as it was
+// written, since it may be an id or a room code; a spec that says "number" still converts
+// it (see validateConfig)
+function parseValue(text) {
+    if (text === true) return true
+    let value = text
+    try {
+        value = decodeURIComponent(text)
+    } catch (e) {
+        // not percent-encoded after all
+    }
+    if (value === "true") return true
+    if (value === "false") return false
+    if (/^-?(0|[1-9][0-9]*)(\.[0-9]+)?$/.test(value) && String(Number(value)) === value) {
+        return Number(value)
+    }
+    return value
+}
+
+/**
+ * Parse parameters written as a JSON object, or as key=value pairs whose values are numbers,
+ * booleans or (percent-encoded) strings, and where a dotted key like "slides.count" sets a
+ * value in a nested object.  Returns { config, errors }.
+ */
+export function parseParams(text) {
+    text = text.trim()
+    if (text.length == 0) {
+        return { config: {}, errors: [] }
+    }
+    if (text[0] == "{") {
+        return parseJSONConfig(text)
+    }
+
+    let config = {}
+    let errors = []
+    const pairs = parseKeyValues(text)
+    for (const key of Object.keys(pairs)) {
+        const path = key.split(".")
+        let object = config
+        for (let i = 0; i < path.length - 1; i++) {
+            if (object[path[i]] === undefined) {
+                object[path[i]] = {}
+            }
+            object = object[path[i]]
+        }
+        const last = path[path.length - 1]
+        if (typeof object !== "object" || last.length == 0 || object[last] !== undefined) {
+            errors.push("can't set '" + key + "'")
+            continue
+        }
+        object[last] = parseValue(pairs[key])
+    }
+    return { config: config, errors: errors }
+}
+
+// parse a JSON object, returning { config, errors }
+export function parseJSONConfig(text) {
+    try {
+        const config = JSON.parse(text)
+        if (config === null || typeof config !== "object" || Array.isArray(config)) {
+            return { config: {}, errors: ["config must be a JSON object"] }
+        }
+        return { config: config, errors: [] }
+    } catch (e) {
+        return { config: {}, errors: ["config is not valid JSON: " + e.message] }
+    }
+}
+
+function isURL(value) {
+    try {
+        const url = new URL(value)
+        return url.protocol === "http:" || url.protocol === "https:"
+    } catch (e) {
+        return false
+    }
+}
+
+function isColor(value) {
+    return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) ||
+        THREE.Color.NAMES[value.toLowerCase()] !== undefined
+}
+
+// convert one value to its spec type, returning undefined if it can't be
+function convert(value, type) {
+    switch (type) {
+        case "boolean":
+            if (value === true || value === false) return value
+            if (value === "true") return true
+            if (value === "false") return false
+            return undefined
+        case "number":
+        case "int": {
+            const number = typeof value === "number" ? value : Number(value)
+            if (typeof value === "boolean" || isNaN(number)) return undefined
+            if (type === "int" && !Number.isInteger(number)) return undefined
+            return number
+        }
+        case "color":
+            return typeof value === "string" && isColor(value) ? value : undefined
+        case "url":
+            return typeof value === "string" && isURL(value) ? value : undefined
+        case "object":
+            return value !== null && typeof value === "object" && !Array.isArray(value) ? value : undefined
+        case "array":
+            return Array.isArray(value) ? value : undefined
+        default:
+            return typeof value === "string" || typeof value === "number" ? value.toString() : undefined
+    }
+}
+
+/**
+ * Check `config` against `spec`.  Returns { values, errors }: `values` has the keys that were
+ * valid, converted to their types, and `errors` is a list of messages for the rest.
+ */
+export function validateConfig(config, spec) {
+    let values = {}
+    let errors = []
+
+    for (const key of Object.keys(config)) {
+        const rule = spec[key]
+        if (!rule) {
+            errors.push("unknown setting '" + key + "'")
+            continue
+        }
+        const value = convert(config[key], rule.type || "string")
+        if (value === undefined) {
+            const article = ["int", "object", "array"].includes(rule.type) ? "an " : "a "
+            errors.push("'" + key + "' must be " + article + (rule.type === "int" ? "integer" : rule.type || "string") +
+                ", not '" + config[key] + "'")
+        } else if (rule.oneOf && !rule.oneOf.includes(value)) {
+            errors.push("'" + key + "' must be one of " + rule.oneOf.join(", ") + ", not '" + value + "'")
+        } else {
+            values[key] = value
+        }
+    }
+    for (const key of Object.keys(spec)) {
+        if (spec[key].required && values[key] === undefined && config[key] === undefined) {
+            errors.push("'" + key + "' is required")
+        }
+    }
+    return { values: values, errors: errors }
+}
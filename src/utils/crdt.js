@@ -0,0 +1,172 @@
+/**
+ * Description
+ * ===========
+ * Shared state that several people can change at once without losing anyone's changes,
+ * for html-scripts that set `mergeSharedData`.  It holds
+ *
+ * - values, set and deleted by key.  Each change is stamped with a Lamport clock and the id
+ *   of whoever made it, and when two people change the same key at once the same one wins
+ *   everywhere (the later clock, then the larger id): a last-writer-wins map.
+ * - counters, which keep how much each person has added and taken away, so increments
+ *   made at the same time all count.
+ *
+ * A state (or any part of one) can be merged into another in any order, any number of
+ * times, and they all end up the same.  So changes are sent as small states holding just
+ * what changed, and someone joining late merges in the whole state from anyone.
+ *
+ *     state.set("title", "Planets")
+ *     state.increment("votes")
+ *     state.get("votes")       // 1, plus everyone else's votes
+ *     state.toObject()         // { title: "Planets", votes: 1 }
+ */
+
+// true if stamp a wins over stamp b
+function newer(a, b) {
+    if (a.clock != b.clock) return a.clock > b.clock
+    return a.client > b.client
+}
+
+// values are kept as copies and handed out as copies, so changing an object a script
+// has doesn't change ours behind our back (update() would then find nothing to send)
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
+
+function counterValue(counter) {
+    let total = 0
+    for (const client of Object.keys(counter.p)) total += counter.p[client]
+    for (const client of Object.keys(counter.n)) total -= counter.n[client]
+    return total
+}
+
+export class SharedState {
+    // `clientId` should be the NAF client id, so ties are broken the same way everywhere
+    constructor(clientId) {
+        this.client = clientId || Math.random().toString(36).substring(2, 10)
+        this.clock = 0
+        this.entries = {}
+        this.counters = {}
+
+        // called with the part of the state a local change made, to send to everyone else
+        this.onLocalChange = null
+        // called after changes from other people are merged in
+        this.onRemoteChange = null
+    }
+
+    get(key) {
+        if (this.counters[key]) {
+            return counterValue(this.counters[key])
+        }
+        const entry = this.entries[key]
+        return entry && !entry.deleted ? copy(entry.value) : undefined
+    }
+
+    set(key, value) {
+        this.clock++
+        this.entries[key] = { value: copy(value), clock: this.clock, client: this.client }
+        this.localChange({ entries: { [key]: this.entries[key] } })
+    }
+
+    delete(key) {
+        this.clock++
+        this.entries[key] = { deleted: true, clock: this.clock, client: this.client }
+        this.localChange({ entries: { [key]: this.entries[key] } })
+    }
+
+    increment(key, amount = 1) {
+        if (!this.counters[key]) {
+            this.counters[key] = { p: {}, n: {} }
+        }
+        const counter = this.counters[key]
+        const side = amount >= 0 ? counter.p : counter.n
+        side[this.client] = (side[this.client] || 0) + Math.abs(amount)
+        this.localChange({ counters: { [key]: { p: Object.assign({}, counter.p), n: Object.assign({}, counter.n) } } })
+    }
+
+    decrement(key, amount = 1) {
+        this.increment(key, -amount)
+    }
+
+    // Values that are there until someone sets them, the same for everyone, so people
+    // joining later don't override what has been changed
+    setDefaults(object) {
+        for (const key of Object.keys(object)) {
+            if (!this.entries[key]) {
+                this.entries[key] = { value: copy(object[key]), clock: 0, client: "" }
+            }
+        }
+    }
+
+    // Set each top-level key of `object` that differs from the current state, and delete
+    // the ones it doesn't have, so scripts can keep passing their whole shared object
+    update(object) {
+        for (const key of Object.keys(object)) {
+            if (this.counters[key]) continue
+            if (JSON.stringify(object[key]) !== JSON.stringify(this.get(key))) {
+                this.set(key, object[key])
+            }
+        }
+        for (const key of Object.keys(this.entries)) {
+            if (!(key in object) && !this.entries[key].deleted) {
+                this.delete(key)
+            }
+        }
+    }
+
+    toObject() {
+        let object = {}
+        for (const key of Object.keys(this.entries)) {
+            if (!this.entries[key].deleted) {
+                object[key] = copy(this.entries[key].value)
+            }
+        }
+        for (const key of Object.keys(this.counters)) {
+            object[key] = counterValue(this.counters[key])
+        }
+        return object
+    }
+
+    getState() {
+        return { entries: this.entries, counters: this.counters }
+    }
+
+    // merge in a state from someone else, returning true if anything changed
+    merge(state) {
+        let changed = false
+        const entries = state.entries || {}
+        for (const key of Object.keys(entries)) {
+            const entry = entries[key]
+            this.clock = Math.max(this.clock, entry.clock)
+            if (!this.entries[key] || newer(entry, this.entries[key])) {
+                this.entries[key] = entry
+                changed = true
+            }
+        }
+
+        const counters = state.counters || {}
+        for (const key of Object.keys(counters)) {
+            if (!this.counters[key]) {
+                this.counters[key] = { p: {}, n: {} }
+            }
+            for (const side of ["p", "n"]) {
+                const ours = this.counters[key][side]
+                const theirs = counters[key][side] || {}
+                for (const client of Object.keys(theirs)) {
+                    if (theirs[client] > (ours[client] || 0)) {
+                        ours[client] = theirs[client]
+                        changed = true
+                    }
+                }
+            }
+        }
+
+        if (changed && this.onRemoteChange) {
+            this.onRemoteChange()
+        }
+        return changed
+    }
+
+    localChange(delta) {
+        this.onLocalChange && this.onLocalChange(delta)
+    }
+}
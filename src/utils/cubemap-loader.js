@@ -0,0 +1,132 @@
+/**
+ * Description
+ * ===========
+ * Load the cube map a portal shows from any of these sources:
+ * - an array of six image urls, in the order [+x, -x, +y, -y, +z, -z] (Right, Left, Top,
+ *   Bottom, Front, Back).  If they are .ktx2 files they are loaded as compressed textures.
+ * - one equirectangular JPG, PNG or WebP url, which is converted to a cube map on the GPU
+ * - an object { src, placeholder } where both are one of the above.  The placeholder (a
+ *   small, low resolution version) is shown until `src` has loaded.
+ */
+// Where the KTX2 loader finds basis_transcoder.js and basis_transcoder.wasm, from the
+// room manifest's "basisTranscoderPath" (see utils/portal-destinations.js) or a room
+// script.  There's no default, so KTX2 cube maps need the room to say where they are
+let basisTranscoderPath = null
+let ktx2Loader = null // a promise
+
+export function setBasisTranscoderPath(path) {
+    basisTranscoderPath = path
+    if (ktx2Loader) {
+        ktx2Loader.then(loader => loader.setTranscoderPath(path)).catch(() => {})
+    }
+}
+
+// The KTX2 loader is only loaded by rooms that have KTX2 cube maps, as its own chunk of the
+// build, which uses Hubs' THREE like everything else (see rollup.config.js)
+function getKTX2Loader(renderer) {
+    if (!ktx2Loader) {
+        ktx2Loader = import('three/examples/jsm/loaders/KTX2Loader.js').then(({ KTX2Loader }) => {
+            const loader = new KTX2Loader()
+            loader.setTranscoderPath(basisTranscoderPath)
+            loader.detectSupport(renderer)
+            return loader
+        }).catch(e => {
+            // so the next cube map tries again
+            ktx2Loader = null
+            throw e
+        })
+    }
+    return ktx2Loader
+}
+
+function isKTX2(url) {
+    return /\.ktx2(\?.*)?$/i.test(url)
+}
+
+function loadFaces(urls) {
+    return new Promise((resolve, reject) =>
+        new THREE.CubeTextureLoader().load(urls, resolve, undefined, reject)
+    ).then(texture => {
+        texture.format = THREE.RGBFormat;
+        return texture
+    })
+}
+
+// six compressed 2D textures, used as the faces of one cube texture
+function loadCompressedFaces(urls, renderer) {
+    if (!basisTranscoderPath) {
+        return Promise.reject(new Error("can't load " + urls[0] + " without a basis transcoder path (set basisTranscoderPath in the portal manifest)"))
+    }
+    return getKTX2Loader(renderer).then(loader => Promise.all(urls.map(url => new Promise((resolve, reject) =>
+        loader.load(url, resolve, undefined, reject)
+    )))).then(faces => {
+        const texture = new THREE.CubeTexture(faces)
+        texture.format = faces[0].format
+        texture.encoding = faces[0].encoding
+        texture.generateMipmaps = false
+        texture.minFilter = faces[0].mipmaps.length > 1 ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter
+        texture.needsUpdate = true
+        return texture
+    })
+}
+
+function loadEquirectangular(url, renderer) {
+    return new Promise((resolve, reject) =>
+        new THREE.TextureLoader().load(url, resolve, undefined, reject)
+    ).then(texture => {
+        const cubeRenderTarget = new THREE.WebGLCubeRenderTarget(texture.image.height)
+
+        // this renders with a cube camera, which must not use the XR cameras
+        const xrEnabled = renderer.xr.enabled
+        renderer.xr.enabled = false
+        cubeRenderTarget.fromEquirectangularTexture(renderer, texture)
+        renderer.xr.enabled = xrEnabled
+
+        texture.dispose()
+        return cubeRenderTarget.texture
+    })
+}
+
+function loadSource(source, renderer) {
+    if (Array.isArray(source)) {
+        if (source.length != 6) {
+            return Promise.reject(new Error("a cube map needs six faces: " + source))
+        }
+        return isKTX2(source[0]) ? loadCompressedFaces(source, renderer) : loadFaces(source)
+    } else if (typeof source === "string") {
+        if (isKTX2(source)) {
+            return Promise.reject(new Error("single file KTX2 cube maps aren't supported, use six faces: " + source))
+        }
+        return loadEquirectangular(source, renderer)
+    }
+    return Promise.reject(new Error("unknown cube map source: " + JSON.stringify(source)))
+}
+
+// Resolves to the final texture.  `onUpdate(texture)` is called with the placeholder (if
+// there is one) and then with the final texture, after which the placeholder is disposed.
+export function loadCubeMap(source, renderer, onUpdate) {
+    let placeholder = null
+    let done = false
+
+    if (source && source.placeholder) {
+        loadSource(source.placeholder, renderer).then(texture => {
+            if (done) {
+                texture.dispose()
+                return
+            }
+            placeholder = texture
+            onUpdate && onUpdate(texture)
+        }).catch(e => console.warn("couldn't load cube map placeholder: ", e))
+    }
+
+    const src = source && !Array.isArray(source) && typeof source === "object" ? source.src : source
+    return loadSource(src, renderer).then(texture => {
+        done = true
+        onUpdate && onUpdate(texture)
+        if (placeholder) {
+            placeholder.dispose()
+            placeholder = null
+        }
+        return texture
+    })
+}
@@ -0,0 +1,87 @@
+/**
+ * Description
+ * ===========
+ * A red sign with error messages, shown in the room on an entity that is set up wrong so
+ * the person building the scene can see what to fix.  It is 1m wide whatever the entity's
+ * scale.
+ */
+
+const WIDTH = 512
+const HEIGHT = 256
+const PADDING = 16
+const LINE_HEIGHT = 26
+
+// split `text` into lines that fit in `width` pixels
+function wrapText(ctx, text, width) {
+    let lines = []
+    let line = ""
+    for (const word of text.split(" ")) {
+        const next = line.length > 0 ? line + " " + word : word
+        if (line.length > 0 && ctx.measureText(next).width > width) {
+            lines.push(line)
+            line = word
+        } else {
+            line = next
+        }
+    }
+    lines.push(line)
+    return lines
+}
+
+function drawMessages(title, messages) {
+    const canvas = document.createElement("canvas")
+    canvas.width = WIDTH
+    canvas.height = HEIGHT
+    const ctx = canvas.getContext("2d")
+
+    ctx.fillStyle = "#b00020"
+    ctx.fillRect(0, 0, WIDTH, HEIGHT)
+    ctx.fillStyle = "white"
+    ctx.textBaseline = "top"
+
+    ctx.font = "bold 28px sans-serif"
+    ctx.fillText(title, PADDING, PADDING)
+
+    ctx.font = "20px sans-serif"
+    let y = PADDING + 40
+    for (const message of messages) {
+        for (const line of wrapText(ctx, "• " + message, WIDTH - 2 * PADDING)) {
+            if (y + LINE_HEIGHT > HEIGHT - PADDING) {
+                return canvas // no room for the rest
+            }
+            ctx.fillText(line, PADDING, y)
+            y += LINE_HEIGHT
+        }
+    }
+    return canvas
+}
+
+export function showErrorMarker(el, title, messages) {
+    clearErrorMarker(el)
+
+    const texture = new THREE.CanvasTexture(drawMessages(title, messages))
+    const marker = new THREE.Mesh(
+        new THREE.PlaneGeometry(1, HEIGHT / WIDTH),
+        new THREE.MeshBasicMaterial({ map: texture, side: THREE.DoubleSide })
+    )
+
+    const scale = new THREE.Vector3()
+    el.object3D.updateMatrixWorld(true)
+    el.object3D.getWorldScale(scale)
+    marker.scale.set(1 / scale.x, 1 / scale.y, 1 / scale.z)
+    marker.position.z = 0.05 / scale.z
+    marker.matrixNeedsUpdate = true
+
+    el.setObject3D("errorMarker", marker)
+    return marker
+}
+
+export function clearErrorMarker(el) {
+    const marker = el.getObject3D("errorMarker")
+    if (!marker) return
+
+    el.removeObject3D("errorMarker")
+    marker.geometry.dispose()
+    marker.material.map.dispose()
+    marker.material.dispose()
+}
@@ -0,0 +1,119 @@
+/**
+ * Description
+ * ===========
+ * Minimal JSON-patch style diffs between two JSON values, so shared script state can be
+ * sent as the changes since the last version instead of the whole object.
+ *
+ * diff(a, b) returns a list of operations { op: "add" | "remove" | "replace", path, value },
+ * where path is a JSON pointer ("/slides/3/title", with "~" and "/" in keys written as "~0"
+ * and "~1").  applyPatch(doc, ops) returns a new value with the operations applied, sharing
+ * the parts of doc that didn't change, and throws if an operation doesn't fit the document.
+ */
+
+function escapeKey(key) {
+    return String(key).replace(/~/g, "~0").replace(/\//g, "~1")
+}
+
+function unescapeKey(key) {
+    return key.replace(/~1/g, "/").replace(/~0/g, "~")
+}
+
+function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value)
+}
+
+function diffInto(a, b, path, ops) {
+    if (a === b) return
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+        const common = Math.min(a.length, b.length)
+        for (let i = 0; i < common; i++) {
+            diffInto(a[i], b[i], path + "/" + i, ops)
+        }
+        for (let i = common; i < b.length; i++) {
+            ops.push({ op: "add", path: path + "/" + i, value: b[i] })
+        }
+        // from the end, so the indices stay right
+        for (let i = a.length - 1; i >= common; i--) {
+            ops.push({ op: "remove", path: path + "/" + i })
+        }
+        return
+    }
+
+    if (isObject(a) && isObject(b)) {
+        for (const key of Object.keys(a)) {
+            if (!(key in b)) {
+                ops.push({ op: "remove", path: path + "/" + escapeKey(key) })
+            }
+        }
+        for (const key of Object.keys(b)) {
+            if (key in a) {
+                diffInto(a[key], b[key], path + "/" + escapeKey(key), ops)
+            } else {
+                ops.push({ op: "add", path: path + "/" + escapeKey(key), value: b[key] })
+            }
+        }
+        return
+    }
+
+    ops.push({ op: "replace", path: path, value: b })
+}
+
+export function diff(a, b) {
+    let ops = []
+    diffInto(a, b, "", ops)
+    return ops
+}
+
+function shallowCopy(value) {
+    if (Array.isArray(value)) return value.slice()
+    if (isObject(value)) return Object.assign({}, value)
+    throw new Error("can't patch inside a " + (value === null ? "null" : typeof value))
+}
+
+function applyOp(doc, op) {
+    if (op.path === "") {
+        if (op.op === "remove") {
+            throw new Error("can't remove the whole document")
+        }
+        return op.value
+    }
+
+    const keys = op.path.substring(1).split("/").map(unescapeKey)
+    const root = shallowCopy(doc)
+    let parent = root
+    for (let i = 0; i < keys.length - 1; i++) {
+        if (parent[keys[i]] === undefined) {
+            throw new Error("path " + op.path + " doesn't exist")
+        }
+        parent[keys[i]] = shallowCopy(parent[keys[i]])
+        parent = parent[keys[i]]
+    }
+
+    const last = keys[keys.length - 1]
+    if (Array.isArray(parent)) {
+        const index = last === "-" ? parent.length : Number(last)
+        if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+            throw new Error("bad array index in " + op.path)
+        }
+        if (op.op === "add") {
+            parent.splice(index, 0, op.value)
+        } else if (op.op === "remove") {
+            parent.splice(index, 1)
+        } else {
+            parent[index] = op.value
+        }
+    } else if (op.op === "remove") {
+        delete parent[last]
+    } else {
+        parent[last] = op.value
+    }
+    return root
+}
+
+export function applyPatch(doc, ops) {
+    for (const op of ops) {
+        doc = applyOp(doc, op)
+    }
+    return doc
+}
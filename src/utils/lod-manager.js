@@ -0,0 +1,49 @@
+/**
+ * Description
+ * ===========
+ * Tracks how far each of a set of objects is from the viewer, and whether it is in view,
+ * so components can put off loading, stop ticking, or unload when nobody is looking.
+ *
+ * Each frame update() works out the camera frustum once and calls
+ * `item.updateLOD(distance, visible)` for each item added, where `item.getLODBounds(sphere)`
+ * fills in a world space THREE.Sphere around it.
+ */
+
+const cameraPos = new THREE.Vector3()
+const projection = new THREE.Matrix4()
+const bounds = new THREE.Sphere()
+
+export class LODManager {
+    constructor() {
+        this.items = []
+        this.frustum = new THREE.Frustum()
+    }
+
+    add(item) {
+        if (!this.items.includes(item)) {
+            this.items.push(item)
+        }
+    }
+
+    remove(item) {
+        const index = this.items.indexOf(item)
+        if (index >= 0) {
+            this.items.splice(index, 1)
+        }
+    }
+
+    update(camera) {
+        if (this.items.length == 0) return
+
+        camera.getWorldPosition(cameraPos)
+        projection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse)
+        this.frustum.setFromProjectionMatrix(projection)
+
+        // items may remove themselves while we go through them
+        for (const item of this.items.slice()) {
+            item.getLODBounds(bounds)
+            const distance = Math.max(bounds.center.distanceTo(cameraPos) - bounds.radius, 0)
+            item.updateLOD(distance, this.frustum.intersectsSphere(bounds))
+        }
+    }
+}
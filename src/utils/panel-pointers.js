@@ -0,0 +1,127 @@
+/**
+ * Description
+ * ===========
+ * Follows the hands and remotes (including the mouse cursor) pointing at an html-script
+ * panel, and calls the script's pointer methods when something happens.  A script can
+ * define any of
+ *
+ *     pointerEnter(evt), pointerLeave(evt), pointerMove(evt),
+ *     pointerDown(evt), pointerUp(evt), longPress(evt), wheel(evt)
+ *
+ * where evt is { pointer, x, y, u, v, point }: the hand or remote ("leftHand", "rightHand",
+ * "leftRemote" or "rightRemote"), the position in the panel's pixels from the top left, the
+ * same as 0..1 from the bottom left, and the position in the world.  wheel() also gets
+ * `deltaY`, from the mouse wheel or the scroll input of a remote.
+ */
+
+const LONG_PRESS_TIME = 600 // milliseconds
+const MOVE_EPSILON = 0.001 // of the panel size
+
+// The hubs interaction names for each pointer.  Grabbing and dropping use the user input
+// paths the interaction system has for them (its options' grabPath and dropPath), and the
+// wheel is hubs' paths.actions.cursor.{left,right}.modDelta, which it doesn't keep
+const POINTERS = [
+    { name: "leftHand" },
+    { name: "rightHand" },
+    { name: "leftRemote", wheel: "/actions/cursorLeftModDelta", toggledOff: "leftToggledOff" },
+    { name: "rightRemote", wheel: "/actions/cursorRightModDelta", toggledOff: "rightToggledOff" }
+]
+
+const worldPos = new THREE.Vector3()
+const localPos = new THREE.Vector3()
+
+export class PanelPointers {
+    constructor(sceneEl) {
+        this.sceneEl = sceneEl
+        // per pointer: { hovering, down, downTime, longPressed, evt }
+        this.state = {}
+        POINTERS.forEach(p => this.state[p.name] = { hovering: false, down: false })
+    }
+
+    // forget everything, without telling the script (which is going away)
+    reset() {
+        POINTERS.forEach(p => this.state[p.name] = { hovering: false, down: false })
+    }
+
+    isHovering(interaction, toggling, pointer, hoverEl) {
+        const state = interaction.state[pointer.name]
+        return state.hovered === hoverEl && !state.held && !(pointer.toggledOff && toggling[pointer.toggledOff])
+    }
+
+    // where the pointer is on `layer`, projected onto its plane
+    pointerEvent(interaction, pointer, layer, size) {
+        interaction.options[pointer.name].entity.object3D.getWorldPosition(worldPos)
+
+        const mesh = layer.contentMesh || layer
+        if (!mesh.geometry.boundingBox) {
+            mesh.geometry.computeBoundingBox()
+        }
+        const box = mesh.geometry.boundingBox
+        mesh.worldToLocal(localPos.copy(worldPos))
+        const u = (localPos.x - box.min.x) / (box.max.x - box.min.x)
+        const v = (localPos.y - box.min.y) / (box.max.y - box.min.y)
+
+        return {
+            pointer: pointer.name,
+            x: u * size.width,
+            y: (1 - v) * size.height,
+            u: u,
+            v: v,
+            point: worldPos.clone()
+        }
+    }
+
+    // call once a frame, with the entity hubs sees as hovered and the script's layer
+    update(hoverEl, layer, script, time) {
+        const interaction = this.sceneEl.systems.interaction
+        const toggling = this.sceneEl.systems["hubs-systems"].cursorTogglingSystem
+        const userinput = this.sceneEl.systems.userinput
+        const size = script.getSize()
+        const call = (method, evt) => script[method] && script[method](evt)
+
+        for (const pointer of POINTERS) {
+            const state = this.state[pointer.name]
+            const options = interaction.options[pointer.name]
+            const hovering = this.isHovering(interaction, toggling, pointer, hoverEl)
+
+            if (!hovering) {
+                if (state.down && userinput.get(options.dropPath)) {
+                    state.down = false
+                    call("pointerUp", state.evt)
+                }
+                if (state.hovering) {
+                    state.hovering = false
+                    call("pointerLeave", state.evt)
+                }
+                continue
+            }
+
+            const evt = this.pointerEvent(interaction, pointer, layer, size)
+            if (!state.hovering) {
+                state.hovering = true
+                call("pointerEnter", evt)
+            } else if (Math.abs(evt.u - state.evt.u) > MOVE_EPSILON || Math.abs(evt.v - state.evt.v) > MOVE_EPSILON) {
+                call("pointerMove", evt)
+            }
+            state.evt = evt
+
+            if (userinput.get(options.grabPath)) {
+                state.down = true
+                state.downTime = time
+                state.longPressed = false
+                call("pointerDown", evt)
+            } else if (state.down && userinput.get(options.dropPath)) {
+                state.down = false
+                call("pointerUp", evt)
+            } else if (state.down && !state.longPressed && time - state.downTime > LONG_PRESS_TIME) {
+                state.longPressed = true
+                call("longPress", evt)
+            }
+
+            const deltaY = pointer.wheel ? userinput.get(pointer.wheel) : 0
+            if (deltaY) {
+                call("wheel", Object.assign({ deltaY: deltaY }, evt))
+            }
+        }
+    }
+}
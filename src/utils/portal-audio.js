@@ -0,0 +1,108 @@
+/**
+ * Description
+ * ===========
+ * Ambient sound coming through a portal from the other side.  It plays positionally from
+ * the portal surface, and its volume follows how open the portal is, so walking up to a
+ * portal lets you hear what is on the other side before you go through.
+ *
+ * The sound is either an audio file (looped), or the sound of a `zone-audio-source` near the
+ * other portal of a pair, tapped from that source's audio graph so it stays in sync.
+ */
+
+const worldPos = new THREE.Vector3()
+const otherPos = new THREE.Vector3()
+
+// the portal radius when closed and open, see portal.open() and portal.close()
+const CLOSED_RADIUS = 0.2
+const OPEN_RADIUS = 1
+
+// the output node of a zone-audio-source, which hubs has called different things
+function zoneAudioNode(component) {
+    if (typeof component.getGainNode === "function") {
+        return component.getGainNode()
+    }
+    return component.gainNode || component.output || null
+}
+
+// the zone-audio-source closest to `portalEl`, if any is within `distance` meters
+export function findZoneAudioSource(portalEl, distance) {
+    portalEl.object3D.getWorldPosition(otherPos)
+
+    let closest = null
+    let closestDistance = distance
+    for (const el of document.querySelectorAll("[zone-audio-source]")) {
+        el.object3D.getWorldPosition(worldPos)
+        const d = worldPos.distanceTo(otherPos)
+        if (d <= closestDistance) {
+            closest = el
+            closestDistance = d
+        }
+    }
+    return closest
+}
+
+export class PortalAudio {
+    constructor(portalEl, volume = 1) {
+        this.portalEl = portalEl
+        this.volume = volume
+        this.audio = null
+
+        const listener = portalEl.sceneEl.audioListener
+        if (!listener) {
+            console.warn("no audio listener in the scene, portal audio is disabled")
+            return
+        }
+        this.audio = new THREE.PositionalAudio(listener)
+        this.audio.setRefDistance(1)
+        this.audio.setVolume(0)
+        portalEl.setObject3D("portalAudio", this.audio)
+    }
+
+    // loop the audio file at `url`
+    loadURL(url) {
+        if (!this.audio) { return Promise.resolve() }
+
+        return new Promise((resolve, reject) => {
+            new THREE.AudioLoader().load(url, resolve, undefined, reject)
+        }).then(buffer => {
+            if (!this.audio) { return }
+            this.audio.setBuffer(buffer)
+            this.audio.setLoop(true)
+            this.audio.play()
+        }).catch(e => console.error("couldn't load portal audio " + url + ": ", e))
+    }
+
+    // play the sound of the `zone-audio-source` on `sourceEl`
+    connectZoneSource(sourceEl) {
+        if (!this.audio) { return false }
+
+        const component = sourceEl.components["zone-audio-source"]
+        const node = component && zoneAudioNode(component)
+        if (!node) {
+            console.warn("portal audio can't get the sound of zone-audio-source: ", sourceEl)
+            return false
+        }
+        this.audio.setNodeSource(node)
+        return true
+    }
+
+    // `radius` is the portal's current (animated) radius
+    update(radius) {
+        if (!this.audio) { return }
+
+        const open = THREE.MathUtils.clamp((radius - CLOSED_RADIUS) / (OPEN_RADIUS - CLOSED_RADIUS), 0, 1)
+        this.audio.setVolume(open * this.volume)
+    }
+
+    destroy() {
+        if (!this.audio) { return }
+
+        if (this.audio.sourceType === "audioNode") {
+            this.audio.disconnect()
+        } else if (this.audio.isPlaying) {
+            this.audio.stop()
+        }
+        this.portalEl.removeObject3D("portalAudio")
+        this.audio = null
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Description
+ * ===========
+ * A panel that appears in front of the viewer asking them to confirm leaving through a
+ * portal, with "cancel" and "open" buttons.  Used before a portal opens an external web
+ * site, since that takes people out of the room (and out of VR).
+ */
+
+const PANEL_WIDTH = 0.8
+const PANEL_HEIGHT = 0.3
+const BUTTON_WIDTH = 0.3
+const BUTTON_HEIGHT = 0.1
+const PIXELS_PER_METER = 640
+const DISTANCE = 1.2 // from the viewer, in meters
+const TIMEOUT = 30000 // cancel if nobody answers, in milliseconds
+
+const cameraPos = new THREE.Vector3()
+const cameraDir = new THREE.Vector3()
+
+function textPlane(width, height, background, lines) {
+    const canvas = document.createElement("canvas")
+    canvas.width = width * PIXELS_PER_METER
+    canvas.height = height * PIXELS_PER_METER
+    const ctx = canvas.getContext("2d")
+
+    ctx.fillStyle = background
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+    ctx.fillStyle = "white"
+    ctx.textAlign = "center"
+    ctx.textBaseline = "middle"
+    ctx.font = "28px sans-serif"
+    const lineHeight = 36
+    const top = canvas.height / 2 - (lines.length - 1) * lineHeight / 2
+    lines.forEach((line, i) => ctx.fillText(line, canvas.width / 2, top + i * lineHeight, canvas.width - 20))
+
+    return new THREE.Mesh(
+        new THREE.PlaneGeometry(width, height),
+        new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas) })
+    )
+}
+
+function disposePlane(mesh) {
+    mesh.geometry.dispose()
+    mesh.material.map.dispose()
+    mesh.material.dispose()
+}
+
+export class PortalConfirm {
+    constructor(sceneEl) {
+        this.sceneEl = sceneEl
+        this.panelEl = null
+        this.answer = null
+    }
+
+    // Show `lines` of text, resolving to true if "open" is clicked.  Asking again while the
+    // panel is up cancels the first question.  `onConfirm` is called as soon as "open" is
+    // clicked, while the browser still counts it as the viewer's click (to open a window, say).
+    ask(lines, confirmLabel = "Open", onConfirm = null) {
+        this.close(false)
+
+        this.panelEl = document.createElement("a-entity")
+        this.panelEl.object3D.matrixAutoUpdate = true
+        this.panelEl.setObject3D("mesh", textPlane(PANEL_WIDTH, PANEL_HEIGHT, "#202040", lines))
+        this.sceneEl.appendChild(this.panelEl)
+        this.onConfirm = onConfirm
+
+        // in front of the viewer, facing them
+        this.sceneEl.camera.getWorldPosition(cameraPos)
+        this.sceneEl.camera.getWorldDirection(cameraDir)
+        cameraDir.y = 0
+        cameraDir.normalize()
+        this.panelEl.object3D.position.copy(cameraPos).addScaledVector(cameraDir, DISTANCE)
+        this.panelEl.object3D.lookAt(cameraPos.x, this.panelEl.object3D.position.y, cameraPos.z)
+
+        const y = -PANEL_HEIGHT / 2 - BUTTON_HEIGHT / 2 - 0.02
+        this.buttons = [
+            this.addButton("Cancel", "#606060", -BUTTON_WIDTH / 2 - 0.02, y, false),
+            this.addButton(confirmLabel, "#2060c0", BUTTON_WIDTH / 2 + 0.02, y, true)
+        ]
+
+        return new Promise(resolve => {
+            this.answer = resolve
+            this.timeout = setTimeout(() => this.close(false), TIMEOUT)
+        })
+    }
+
+    addButton(label, color, x, y, value) {
+        const buttonEl = document.createElement("a-entity")
+        buttonEl.object3D.matrixAutoUpdate = true
+        buttonEl.object3D.position.set(x, y, 0)
+        buttonEl.setObject3D("mesh", textPlane(BUTTON_WIDTH, BUTTON_HEIGHT, color, [label]))
+
+        buttonEl.setAttribute('is-remote-hover-target', '')
+        buttonEl.setAttribute('tags', { singleActionButton: true })
+        buttonEl.setAttribute('class', "interactable")
+        const clicked = () => {
+            if (value && this.onConfirm) {
+                this.onConfirm()
+            }
+            this.close(value)
+        }
+        buttonEl.object3D.addEventListener('interact', clicked)
+
+        this.panelEl.appendChild(buttonEl)
+        return { el: buttonEl, clicked: clicked }
+    }
+
+    close(value) {
+        if (!this.panelEl) return
+
+        clearTimeout(this.timeout)
+        for (const button of this.buttons) {
+            button.el.object3D.removeEventListener('interact', button.clicked)
+            disposePlane(button.el.getObject3D("mesh"))
+        }
+        disposePlane(this.panelEl.getObject3D("mesh"))
+        this.sceneEl.removeChild(this.panelEl)
+        this.panelEl = null
+        this.buttons = []
+        this.onConfirm = null
+
+        const answer = this.answer
+        this.answer = null
+        answer && answer(value)
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * Description
+ * ===========
+ * Resolve portal destinations (a room index or room name, plus an optional waypoint)
+ * to the hub URL, hub id and cube map preview images the portal needs.
+ *
+ * Resolvers are objects with a `resolve(destination)` method that returns (or resolves to)
+ * an object with any of `hubId`, `url` and `cubeMap`, or null if it doesn't know about that
+ * destination.  Resolvers are asked in order (most recently registered first).  The hub
+ * comes from the first one that returns both `hubId` and `url`, so the id and URL always
+ * belong together, and the cube map from the first one that returns a `cubeMap`.  So a
+ * resolver can provide just the cube maps and leave the hub lookup to the ones after it.
+ * The built-in realitymedia resolver is always last.
+ *
+ * `destination` looks like { type: "room" | "roomName", target: number | string, waypoint: string }
+ *
+ * A room can also provide a JSON manifest (see `createManifestResolver`) instead of code.
+ */
+
+const CUBEMAP_SIDES = ["Right", "Left", "Top", "Bottom", "Front", "Back"]
+const USER_INFO_TIMEOUT = 10000 // milliseconds
+
+const DEFAULT_HUB_BASE = "https://xr.realitymedia.digital/"
+const DEFAULT_CUBEMAP_BASE = "https://resources.realitymedia.digital/data/roomPanos/"
+
+// The cube map source for a waypoint (see utils/cubemap-loader.js). `format` is "png" or 
+// "ktx2" for six faces in the order THREE.CubeTextureLoader wants them, or "equirect.jpg",
+// "equirect.png" or "equirect.webp" for one equirectangular image
+export function cubeMapURLs(base, waypoint, format = "png") {
+    if (!waypoint || waypoint.length == 0) {
+        waypoint = "start"
+    }
+    if (format.startsWith("equirect.")) {
+        return base + "/" + waypoint + format.substring("equirect".length)
+    }
+    return CUBEMAP_SIDES.map(side => base + "/" + waypoint + "-" + side + "." + format)
+}
+
+// a cube map source on its own, rather than an object keyed by waypoint
+function isCubeMapSource(cubeMap) {
+    return typeof cubeMap === "string" || Array.isArray(cubeMap) || cubeMap.src !== undefined
+}
+
+// the SSO user info is fetched by the hubs client after we are loaded, so wait for it,
+// but not forever: null if it hasn't arrived after USER_INFO_TIMEOUT
+function waitForUserInfo() {
+    const start = Date.now()
+    return new Promise((resolve) => {
+        let check = () => {
+            if (!window.SSO) {
+                resolve(null)
+            } else if (window.SSO.userInfo) {
+                resolve(window.SSO.userInfo)
+            } else if (Date.now() - start > USER_INFO_TIMEOUT) {
+                console.warn("gave up waiting for the SSO user info, so room numbers can't be resolved")
+                resolve(null)
+            } else {
+                setTimeout(check, 100) // try again in 100 milliseconds
+            }
+        }
+        check()
+    })
+}
+
+export const realityMediaResolver = {
+    name: "realitymedia",
+    resolve: async function (destination) {
+        if (destination.type === "room") {
+            let userInfo = await waitForUserInfo()
+            if (!userInfo) { return null }
+
+            let hubId = userInfo.rooms[destination.target]
+            return {
+                hubId: hubId,
+                url: userInfo.rooms.length > destination.target ? DEFAULT_HUB_BASE + hubId : null,
+                cubeMap: cubeMapURLs(DEFAULT_CUBEMAP_BASE + destination.target.toString(), destination.waypoint)
+            }
+        } else if (destination.type === "roomName") {
+            return {
+                hubId: destination.target,
+                url: window.location.origin + "/" + destination.target,
+                cubeMap: cubeMapURLs(DEFAULT_CUBEMAP_BASE + destination.target, destination.waypoint)
+            }
+        }
+        return null
+    }
+}
+
+/**
+ * Create a resolver from a room manifest.  All fields are optional:
+ *
+ * {
+ *   "hubBaseURL": "https://hubs.example.org/",
+ *   "cubeMapBaseURL": "https://assets.example.org/roomPanos/",
+ *   "cubeMapFormat": "equirect.webp",
+ *   "basisTranscoderPath": "https://assets.example.org/basis/",
+ *   "rooms": ["hubId0", "hubId1"],
+ *   "destinations": {
+ *     "lobby": {
+ *       "hubId": "hubId2",
+ *       "url": "https://hubs.example.org/hubId2/lobby",
+ *       "cubeMap": { "start": [six face urls], "stage": [six face urls] }
+ *     }
+ *   }
+ * }
+ *
+ * "rooms" maps the room numbers used by "room_N_color" portals to hub ids. "cubeMapFormat"
+ * is the kind of files under "cubeMapBaseURL" (see `cubeMapURLs`), and "basisTranscoderPath"
+ * the folder holding basis_transcoder.js and .wasm, which "ktx2" cube maps need.
+ * "destinations" is keyed by room number or room name, and its "cubeMap" is either one cube
+ * map source (see utils/cubemap-loader.js, which includes low resolution placeholders) or
+ * an object of them keyed by waypoint name.
+ */
+export function createManifestResolver(manifest, name) {
+    return {
+        name: name || "manifest",
+        resolve: function (destination) {
+            let result = {}
+            let hubBase = manifest.hubBaseURL
+            let cubeMapBase = manifest.cubeMapBaseURL
+
+            if (destination.type === "room" && Array.isArray(manifest.rooms)) {
+                result.hubId = manifest.rooms[destination.target]
+            } else if (destination.type === "roomName") {
+                result.hubId = destination.target
+            }
+            if (result.hubId && hubBase) {
+                result.url = hubBase + result.hubId
+            }
+            if (cubeMapBase) {
+                result.cubeMap = cubeMapURLs(cubeMapBase + destination.target.toString(), destination.waypoint, manifest.cubeMapFormat)
+            }
+
+            let entry = manifest.destinations && manifest.destinations[destination.target.toString()]
+            if (entry) {
+                if (entry.hubId) {
+                    result.hubId = entry.hubId
+                    result.url = hubBase ? hubBase + entry.hubId : result.url
+                }
+                if (entry.url) {
+                    result.url = entry.url
+                }
+                if (entry.cubeMap) {
+                    if (isCubeMapSource(entry.cubeMap)) {
+                        result.cubeMap = entry.cubeMap
+                    } else {
+                        let waypoint = destination.waypoint && destination.waypoint.length > 0 ? destination.waypoint : "start"
+                        result.cubeMap = entry.cubeMap[waypoint] || result.cubeMap
+                    }
+                }
+            }
+            return result
+        }
+    }
+}
+
+export class DestinationResolver {
+    constructor() {
+        this.resolvers = []
+        this.pending = []
+    }
+
+    register(resolver) {
+        if (!resolver || typeof resolver.resolve !== "function") {
+            console.error("portal destination resolver must have a resolve() method: ", resolver)
+            return
+        }
+        this.resolvers.unshift(resolver)
+    }
+
+    unregister(resolver) {
+        let index = this.resolvers.indexOf(resolver)
+        if (index >= 0) {
+            this.resolvers.splice(index, 1)
+        }
+    }
+
+    // resolution waits for anything registered through a promise (such as a manifest
+    // that is still being fetched), so portals initialized early still see it
+    registerWhenReady(promise) {
+        let p = promise.then(resolver => {
+            resolver && this.register(resolver)
+        }).catch(e => {
+            console.error("portal destination resolver failed to load: ", e)
+        })
+        this.pending.push(p)
+        return p
+    }
+
+    async resolve(destination) {
+        await Promise.all(this.pending)
+
+        let result = { hubId: null, url: null, cubeMap: null }
+        for (const resolver of this.resolvers.concat([realityMediaResolver])) {
+            let found
+            try {
+                found = await resolver.resolve(destination)
+            } catch (e) {
+                console.error("portal destination resolver '" + resolver.name + "' failed: ", e)
+                continue
+            }
+            if (!found) { continue }
+
+            // never a hub id from one resolver with a URL from another
+            if (result.url == null && found.hubId != null && found.url != null) {
+                result.hubId = found.hubId
+                result.url = found.url
+            }
+            if (result.cubeMap == null && found.cubeMap != null) {
+                result.cubeMap = found.cubeMap
+            }
+            if (result.url != null && result.cubeMap != null) {
+                break
+            }
+        }
+        return result
+    }
+}
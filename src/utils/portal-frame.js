@@ -0,0 +1,182 @@
+/**
+ * Description
+ * ===========
+ * The frame ("door") drawn around a portal.  Frames are built in meters around an opening
+ * of the given width and height, so they look the same whatever the portal is scaled to.
+ *
+ * Styles:
+ * - rectangular: two posts and a lintel, like the original gold door
+ * - arch: two posts with a half circle over the top
+ * - round: a ring around the opening
+ * - none: no frame
+ *
+ * The material is gold foil by default, or `color` and/or a `texture` url, reflecting the
+ * scene's environment map or an `envMap` of its own (any source utils/cubemap-loader.js 
+ * takes).  Materials (and their textures) are created the first time a portal asks for 
+ * them, and shared between portals that ask for the same thing.
+ */
+import { loadCubeMap } from './cubemap-loader.js'
+import goldcolor from '../assets/Metal_Gold_Foil_002_COLOR.jpg'
+import goldDisplacement from '../assets/Metal_Gold_Foil_002_DISP.jpg'
+import goldnorm from '../assets/Metal_Gold_Foil_002_NRM.jpg'
+import goldao from '../assets/Metal_Gold_Foil_002_OCC.jpg'
+
+export const FRAME_STYLES = ["rectangular", "arch", "round", "none"]
+
+const loader = new THREE.TextureLoader()
+const materialCache = new Map()
+
+// load a texture into `material[property]`, repeated `repeat` times along the long side
+function loadInto(material, property, url, repeat) {
+    loader.load(url, (texture) => {
+        texture.repeat.set(1, repeat)
+        texture.wrapS = repeat > 1 ? THREE.RepeatWrapping : THREE.ClampToEdgeWrapping
+        texture.wrapT = repeat > 1 ? THREE.RepeatWrapping : THREE.ClampToEdgeWrapping
+        material[property] = texture
+        material.needsUpdate = true
+    }, undefined, (e) => console.error("couldn't load portal frame texture " + url + ": ", e))
+}
+
+// gold foil needs two materials: "side" is stretched along posts and lintels, so its
+// textures repeat, and "end" is used on the small end faces
+function createGoldMaterials() {
+    const side = new THREE.MeshStandardMaterial({ color: 0xffffff, metalness: 0.0, roughness: 0.0 })
+    const end = new THREE.MeshStandardMaterial({ color: 0xffffff, metalness: 0.0, roughness: 0.0 })
+
+    for (const [material, repeat] of [[side, 25], [end, 1]]) {
+        loadInto(material, "map", goldcolor, repeat)
+        loadInto(material, "bumpMap", goldDisplacement, repeat)
+        loadInto(material, "aoMap", goldao, repeat)
+        loadInto(material, "normalMap", goldnorm, repeat)
+    }
+    return { side: side, end: end }
+}
+
+function createMaterials(color, texture) {
+    const material = new THREE.MeshStandardMaterial({
+        color: color ? new THREE.Color(color) : 0xffffff,
+        metalness: 0.5,
+        roughness: 0.3
+    })
+    if (texture) {
+        loadInto(material, "map", texture, 1)
+    }
+    return { side: material, end: material }
+}
+
+// the { side, end } materials for a frame.  With no color or texture this is gold foil
+export function getFrameMaterials({ color, texture, envMap }, renderer) {
+    const key = (color || "") + "|" + (texture || "") + "|" + (envMap || "")
+    let materials = materialCache.get(key)
+    if (!materials) {
+        materials = !color && !texture ? createGoldMaterials() : createMaterials(color, texture)
+        if (envMap) {
+            loadCubeMap(envMap, renderer, (cubeMap) => {
+                materials.side.envMap = cubeMap
+                materials.end.envMap = cubeMap
+                materials.side.needsUpdate = true
+                materials.end.needsUpdate = true
+            }).catch(e => console.error("couldn't load portal frame environment map: ", e))
+        }
+        materialCache.set(key, materials)
+    }
+    return materials
+}
+
+// how far the frame reaches above the top of the opening, in meters
+export function frameClearance(style, width, height, thickness) {
+    switch (style) {
+        case "rectangular":
+        case "arch":
+            return thickness
+        case "round":
+            return (Math.max(width, height) - height) / 2 + thickness
+        default:
+            return 0
+    }
+}
+
+function box(width, height, depth, materials, vertical) {
+    // same face order as BoxGeometry: +x, -x, +y, -y, +z, -z
+    const faces = vertical ?
+        [materials.side, materials.side, materials.end, materials.end, materials.side, materials.side] :
+        [materials.end, materials.end, materials.side, materials.side, materials.side, materials.side]
+    return new THREE.Mesh(new THREE.BoxGeometry(width, height, depth, 2, 5, 2), faces)
+}
+
+/**
+ * Build a frame around an opening `width` by `height` meters, centered on the origin in
+ * the XY plane.  Returns a THREE.Group (empty for "none"); dispose of it with disposeFrame.
+ */
+export function buildFrame(style, width, height, thickness, materials) {
+    const group = new THREE.Group()
+    const depth = thickness
+
+    if (style === "rectangular") {
+        // the posts go up to the top of the frame and the top only spans the opening, so
+        // no two pieces overlap (their faces would be in the same plane and z-fight)
+        const left = box(thickness, height + thickness, depth, materials, true)
+        left.position.set(-(width + thickness) / 2, thickness / 2, 0)
+        const right = box(thickness, height + thickness, depth, materials, true)
+        right.position.set((width + thickness) / 2, thickness / 2, 0)
+        const top = box(width, thickness, depth, materials, false)
+        top.position.set(0, (height + thickness) / 2, 0)
+        group.add(left, right, top)
+    } else if (style === "arch") {
+        // posts up to where the half circle over the opening starts
+        const radius = width / 2
+        const postHeight = Math.max(height - radius, 0)
+        const postY = -height / 2 + postHeight / 2
+        if (postHeight > 0) {
+            const left = box(thickness, postHeight, depth, materials, true)
+            left.position.set(-(width + thickness) / 2, postY, 0)
+            const right = box(thickness, postHeight, depth, materials, true)
+            right.position.set((width + thickness) / 2, postY, 0)
+            group.add(left, right)
+        }
+        const arc = new THREE.Mesh(
+            new THREE.TorusGeometry(radius + thickness / 2, thickness / 2, 12, 48, Math.PI),
+            materials.side
+        )
+        arc.position.set(0, -height / 2 + postHeight, 0)
+        group.add(arc)
+    } else if (style === "round") {
+        const ring = new THREE.Mesh(
+            new THREE.TorusGeometry(Math.max(width, height) / 2 + thickness / 2, thickness / 2, 12, 64),
+            materials.side
+        )
+        group.add(ring)
+    }
+    return group
+}
+
+// the geometry is per portal, the materials are shared
+export function disposeFrame(group) {
+    group.traverse((object) => {
+        object.geometry && object.geometry.dispose()
+    })
+}
+
+/**
+ * The bounding box of `object`'s "mesh" in `object`'s own coordinates.  For a media-image
+ * that is the scaled image plane, for a model it's the model.
+ */
+export function localBounds(object3D, mesh) {
+    object3D.updateMatrixWorld(true)
+
+    const bounds = new THREE.Box3()
+    const nodeBounds = new THREE.Box3()
+    const toLocal = new THREE.Matrix4().copy(object3D.matrixWorld).invert()
+    const matrix = new THREE.Matrix4()
+
+    mesh.traverse((node) => {
+        if (!node.geometry) return
+        if (!node.geometry.boundingBox) {
+            node.geometry.computeBoundingBox()
+        }
+        matrix.multiplyMatrices(toLocal, node.matrixWorld)
+        nodeBounds.copy(node.geometry.boundingBox).applyMatrix4(matrix)
+        bounds.union(nodeBounds)
+    })
+    return bounds
+}
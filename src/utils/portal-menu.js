@@ -0,0 +1,135 @@
+/**
+ * Description
+ * ===========
+ * The menu a "chooser" portal shows when someone comes close: a row of small balls, each
+ * showing the cube map of one destination with its label above it.  Clicking one selects
+ * that destination, and going through the portal then goes there.
+ */
+import { getScript } from "./script-bundles.js";
+
+const BALL_RADIUS = 0.12
+const ITEM_SPACING = 0.45
+const LABEL_WIDTH = 0.4
+const MENU_DISTANCE = 0.6 // in front of the portal, in meters
+
+const ballGeometry = new THREE.SphereGeometry(BALL_RADIUS, 32, 16)
+const emptyMaterial = new THREE.MeshBasicMaterial({ color: 0x333333 })
+
+export class PortalMenu {
+    // `destinations` is an array of { label: string } objects, `onSelect(index)` is called
+    // when one is clicked
+    constructor(portalEl, destinations, onSelect) {
+        this.portalEl = portalEl
+        this.onSelect = onSelect
+        this.selected = -1
+
+        // the menu is laid out in meters, so undo the scale of the portal
+        let scaleW = new THREE.Vector3()
+        portalEl.object3D.getWorldScale(scaleW)
+
+        this.rootEl = document.createElement('a-entity')
+        this.rootEl.object3D.matrixAutoUpdate = true
+        this.rootEl.object3D.scale.set(1 / scaleW.x, 1 / scaleW.y, 1 / scaleW.z)
+        this.rootEl.object3D.position.z = MENU_DISTANCE / scaleW.z
+        this.rootEl.object3D.visible = false
+        portalEl.appendChild(this.rootEl)
+
+        const left = -ITEM_SPACING * (destinations.length - 1) / 2
+        this.items = destinations.map((destination, index) => {
+            const itemEl = document.createElement('a-entity')
+            itemEl.object3D.matrixAutoUpdate = true
+            itemEl.object3D.position.x = left + index * ITEM_SPACING
+
+            const ball = new THREE.Mesh(ballGeometry, emptyMaterial)
+            itemEl.setObject3D('mesh', ball)
+
+            // make each ball clickable
+            itemEl.setAttribute('is-remote-hover-target', '')
+            itemEl.setAttribute('tags', {
+                singleActionButton: true,
+                isStatic: true,
+                togglesHoveredActionSet: true
+            })
+            itemEl.setAttribute('class', "interactable")
+            const clicked = () => this.select(index)
+            itemEl.object3D.addEventListener('interact', clicked)
+
+            this.rootEl.appendChild(itemEl)
+
+            let item = { el: itemEl, ball: ball, clicked: clicked, label: null }
+            if (destination.label && destination.label.length > 0) {
+                // the label comes from the default script bundle; the menu works without it
+                getScript("PortalTitle").then(PortalTitle => {
+                    if (!PortalTitle) throw new Error("the script bundle has no PortalTitle")
+                    if (!this.items.includes(item)) return // destroyed while we waited
+
+                    item.label = PortalTitle({ width: 1, height: 0.25, message: destination.label })
+                    return item.label.waitForReady().then(() => {
+                        if (!item.label) return
+
+                        const size = item.label.getSize()
+                        const scale = size.width > 0 ? LABEL_WIDTH / size.width : 1
+                        item.label.webLayer3D.matrixAutoUpdate = true
+                        item.label.webLayer3D.scale.set(scale, scale, scale)
+                        item.label.webLayer3D.position.y = BALL_RADIUS + 0.05 + (size.height * scale) / 2
+                        itemEl.setObject3D('label', item.label.webLayer3D)
+                    })
+                }).catch(e => console.warn("couldn't create a portal menu label: ", e))
+            }
+            return item
+        })
+    }
+
+    // show the cube map `texture` in the ball for destination `index`
+    setPreview(index, texture) {
+        const item = this.items[index]
+        if (!item) return
+
+        texture.mapping = THREE.CubeRefractionMapping
+        if (item.ball.material !== emptyMaterial) {
+            item.ball.material.dispose()
+        }
+        item.ball.material = new THREE.MeshBasicMaterial({ envMap: texture, refractionRatio: 0.9 })
+    }
+
+    select(index) {
+        this.selected = index
+        this.items.forEach((item, i) => {
+            const scale = i == index ? 1.3 : 1
+            item.el.object3D.scale.set(scale, scale, scale)
+        })
+        this.onSelect(index)
+    }
+
+    show() {
+        this.rootEl.object3D.visible = true
+    }
+
+    hide() {
+        this.rootEl.object3D.visible = false
+    }
+
+    tick(time) {
+        if (!this.rootEl.object3D.visible) return
+
+        for (const item of this.items) {
+            item.label && item.label.tick(time)
+        }
+    }
+
+    destroy() {
+        for (const item of this.items) {
+            item.el.object3D.removeEventListener('interact', item.clicked)
+            if (item.label) {
+                item.el.removeObject3D('label')
+                item.label.destroy()
+                item.label = null
+            }
+            if (item.ball.material !== emptyMaterial) {
+                item.ball.material.dispose()
+            }
+        }
+        this.portalEl.removeChild(this.rootEl)
+        this.items = []
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * Description
+ * ===========
+ * The script bundles html-script components get their scripts from.  A bundle is an ES
+ * module (built like vue-apps) that exports `vueComponents`, an object of script factories
+ * plus the `systemTick` and `initializeEthereal` functions its scripts need.
+ *
+ * Bundles are registered by name and url, and only loaded (with a dynamic import) the first
+ * time a script from them is asked for.  A script name "bundle:Script" comes from the named
+ * bundle, and a plain "Script" comes from the default bundle.  If a bundle fails to load,
+ * only the scripts from it fail, and asking again tries to load it again.
+ *
+ * A room can add its own bundle from a script, without rebuilding core-components:
+ *
+ *     APP.scene.systems["html-script"].registerBundle("myroom", "https://example.org/scripts.js")
+ *
+ * and then use "myroom:Quiz" as the name of an html-script.  Hubs removes ":" from Spoke node 
+ * names, so a node name ends with "_myroom-Quiz" instead.
+ */
+
+export const DEFAULT_BUNDLE = "default"
+
+// window.__testingVueApps replaces the default bundle, for testing vue-apps changes
+const DEFAULT_URL = window.__testingVueApps || "https://resources.realitymedia.digital/vue-apps/dist/hubs.js"
+
+let bundles = {}
+let loadedListeners = []
+
+export function registerBundle(name, url) {
+    if (name.includes(":")) {
+        console.error("script bundle names can't contain ':', so '" + name + "' is not registered")
+        return
+    }
+    if (bundles[name] && bundles[name].url !== url) {
+        console.warn("script bundle '" + name + "' was " + bundles[name].url + ", now it is " + url)
+    }
+    bundles[name] = { url: url, promise: null }
+}
+
+export function getBundleURL(name) {
+    return bundles[name] ? bundles[name].url : null
+}
+
+// `listener(name, components)` is called for each bundle when it loads, including ones
+// that have already loaded
+export function onBundleLoaded(listener) {
+    loadedListeners.push(listener)
+    for (const name of Object.keys(bundles)) {
+        const bundle = bundles[name]
+        bundle.components && listener(name, bundle.components)
+    }
+}
+
+export function loadBundle(name) {
+    const bundle = bundles[name]
+    if (!bundle) {
+        return Promise.reject(new Error("there is no script bundle named '" + name + "'"))
+    }
+    if (!bundle.promise) {
+        bundle.promise = import(bundle.url).then(module => {
+            const components = module.vueComponents || module.default
+            if (!components) {
+                throw new Error("script bundle '" + name + "' (" + bundle.url + ") doesn't export vueComponents")
+            }
+            bundle.components = components
+            loadedListeners.forEach(listener => listener(name, components))
+            return components
+        }).catch(e => {
+            // so the next request tries again
+            bundle.promise = null
+            throw e
+        })
+    }
+    return bundle.promise
+}
+
+// split "bundle:Script" into its parts
+export function parseScriptName(fullName) {
+    const colon = fullName.indexOf(":")
+    if (colon < 0) {
+        return { bundle: DEFAULT_BUNDLE, name: fullName }
+    }
+    return { bundle: fullName.substring(0, colon), name: fullName.substring(colon + 1) }
+}
+
+// resolves to the factory function for a script, or null if its bundle doesn't have it
+export async function getScript(fullName) {
+    const { bundle, name } = parseScriptName(fullName)
+    const components = await loadBundle(bundle)
+    return components[name] || null
+}
+
+registerBundle(DEFAULT_BUNDLE, DEFAULT_URL)
@@ -0,0 +1,175 @@
+/**
+ * Description
+ * ===========
+ * A keyboard that appears in front of the viewer, for typing into html-scripts in a headset
+ * (see systems/text-input.js).  Each key is a button, and pressing one calls `onKey` with
+ * the same key names a DOM KeyboardEvent has ("a", "A", " ", "Backspace", "Enter"), or
+ * "Escape" for the "done" key.  A strip above the keys shows the text being typed.
+ */
+
+const KEY_SIZE = 0.06 // meters
+const KEY_GAP = 0.006
+const PIXELS_PER_METER = 1024
+const DISTANCE = 0.7 // in front of the viewer, in meters
+const DROP = 0.35 // below the viewer's eyes, in meters
+const TILT = 0.5 // radians, so it faces up towards the viewer
+
+// each key is [label, key, width in keys]; letters change with shift
+const ROWS = [
+    "1234567890".split("").map(c => [c, c, 1]).concat([["⌫", "Backspace", 1.5]]),
+    "qwertyuiop".split("").map(c => [c, c, 1]),
+    "asdfghjkl".split("").map(c => [c, c, 1]).concat([["↵", "Enter", 1.5]]),
+    [["⇧", "Shift", 1.5]].concat("zxcvbnm".split("").map(c => [c, c, 1])).concat([[",", ",", 1], [".", ".", 1], ["@", "@", 1]]),
+    [["space", " ", 6], ["done", "Escape", 2]]
+]
+
+const cameraPos = new THREE.Vector3()
+const cameraDir = new THREE.Vector3()
+
+function drawLabel(canvas, label, background) {
+    const ctx = canvas.getContext("2d")
+    ctx.fillStyle = background
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+    ctx.fillStyle = "white"
+    ctx.textAlign = "center"
+    ctx.textBaseline = "middle"
+    ctx.font = Math.round(canvas.height * 0.5) + "px sans-serif"
+    ctx.fillText(label, canvas.width / 2, canvas.height / 2, canvas.width - 8)
+}
+
+function labelPlane(width, height, label, background) {
+    const canvas = document.createElement("canvas")
+    canvas.width = width * PIXELS_PER_METER
+    canvas.height = height * PIXELS_PER_METER
+    drawLabel(canvas, label, background)
+
+    const mesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(width, height),
+        new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas) })
+    )
+    mesh.userData.canvas = canvas
+    return mesh
+}
+
+function relabel(mesh, label, background) {
+    drawLabel(mesh.userData.canvas, label, background)
+    mesh.material.map.needsUpdate = true
+}
+
+function disposePlane(mesh) {
+    mesh.geometry.dispose()
+    mesh.material.map.dispose()
+    mesh.material.dispose()
+}
+
+export class VirtualKeyboard {
+    constructor(sceneEl, onKey) {
+        this.sceneEl = sceneEl
+        this.onKey = onKey
+        this.panelEl = null
+        this.keys = []
+        this.shift = false
+    }
+
+    get visible() {
+        return this.panelEl !== null
+    }
+
+    show(text = "") {
+        if (this.panelEl) {
+            this.setText(text)
+            return
+        }
+
+        const width = 11.5 * (KEY_SIZE + KEY_GAP)
+        this.panelEl = document.createElement("a-entity")
+        this.panelEl.object3D.matrixAutoUpdate = true
+        this.display = labelPlane(width, KEY_SIZE, text, "#101020")
+        this.display.position.y = KEY_SIZE + KEY_GAP
+        this.panelEl.object3D.add(this.display)
+
+        ROWS.forEach((row, r) => {
+            let x = -width / 2
+            const y = -r * (KEY_SIZE + KEY_GAP)
+            for (const [label, key, size] of row) {
+                const keyWidth = size * KEY_SIZE + (size - 1) * KEY_GAP
+                this.keys.push(this.addKey(label, key, x + keyWidth / 2, y, keyWidth))
+                x += keyWidth + KEY_GAP
+            }
+        })
+        this.sceneEl.appendChild(this.panelEl)
+
+        // below and in front of the viewer, tilted towards them
+        this.sceneEl.camera.getWorldPosition(cameraPos)
+        this.sceneEl.camera.getWorldDirection(cameraDir)
+        cameraDir.y = 0
+        cameraDir.normalize()
+        const object3D = this.panelEl.object3D
+        object3D.position.copy(cameraPos).addScaledVector(cameraDir, DISTANCE)
+        object3D.position.y -= DROP
+        object3D.lookAt(cameraPos.x, object3D.position.y, cameraPos.z)
+        object3D.rotateX(-TILT)
+    }
+
+    addKey(label, key, x, y, width) {
+        const keyEl = document.createElement("a-entity")
+        keyEl.object3D.matrixAutoUpdate = true
+        keyEl.object3D.position.set(x, y, 0)
+        keyEl.setObject3D("mesh", labelPlane(width, KEY_SIZE, label, "#404050"))
+
+        keyEl.setAttribute('is-remote-hover-target', '')
+        keyEl.setAttribute('tags', { singleActionButton: true })
+        keyEl.setAttribute('class', "interactable")
+        const pressed = () => this.press(key)
+        keyEl.object3D.addEventListener('interact', pressed)
+
+        this.panelEl.appendChild(keyEl)
+        return { el: keyEl, label: label, key: key, pressed: pressed }
+    }
+
+    press(key) {
+        if (key === "Shift") {
+            this.setShift(!this.shift)
+            return
+        }
+        if (key.length == 1 && this.shift) {
+            key = key.toUpperCase()
+            this.setShift(false)
+        }
+        this.onKey(key)
+    }
+
+    setShift(shift) {
+        this.shift = shift
+        for (const key of this.keys) {
+            if (/^[a-z]$/.test(key.key)) {
+                relabel(key.el.getObject3D("mesh"), shift ? key.label.toUpperCase() : key.label, "#404050")
+            } else if (key.key === "Shift") {
+                relabel(key.el.getObject3D("mesh"), key.label, shift ? "#2060c0" : "#404050")
+            }
+        }
+    }
+
+    setText(text) {
+        if (!this.display) return
+
+        // the end of it, if it doesn't fit
+        relabel(this.display, text.length > 40 ? "…" + text.substring(text.length - 39) : text, "#101020")
+    }
+
+    hide() {
+        if (!this.panelEl) return
+
+        for (const key of this.keys) {
+            key.el.object3D.removeEventListener('interact', key.pressed)
+            disposePlane(key.el.getObject3D("mesh"))
+        }
+        this.panelEl.object3D.remove(this.display)
+        disposePlane(this.display)
+        this.sceneEl.removeChild(this.panelEl)
+        this.panelEl = null
+        this.display = null
+        this.keys = []
+        this.shift = false
+    }
+}